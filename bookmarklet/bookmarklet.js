@@ -73,6 +73,7 @@
         token: localStorage.getItem("LUNCHMONEY_TOKEN") || "",
         assetId: localStorage.getItem("LUNCHMONEY_ASSET_ID") || "",
         days: localStorage.getItem("ICS_SYNC_DAYS") || "50",
+        cleanPayees: localStorage.getItem("ICS_CLEAN_PAYEES") === "true",
       };
 
       const dialog = document.createElement("dialog");
@@ -146,9 +147,23 @@
         value: saved.days,
         min: "1",
         className:
-          "w-full px-3 py-2.5 border-2 border-gray-200 rounded-lg text-sm mb-5 focus:outline-none focus:border-green-500",
+          "w-full px-3 py-2.5 border-2 border-gray-200 rounded-lg text-sm mb-4 focus:outline-none focus:border-green-500",
       });
 
+      // --- Payee cleanup ---
+      const payeeLabel = Object.assign(document.createElement("label"), {
+        className: "flex items-center gap-2 text-sm text-gray-600 mb-5",
+      });
+      const payeeCheckbox = Object.assign(document.createElement("input"), {
+        type: "checkbox",
+        checked: saved.cleanPayees,
+        className: "accent-green-500",
+      });
+      payeeLabel.append(
+        payeeCheckbox,
+        "Clean up payees (strip store numbers, cities, PAYPAL * etc.)"
+      );
+
       // --- Sync button ---
       const syncBtn = Object.assign(document.createElement("button"), {
         textContent: "Sync",
@@ -170,6 +185,7 @@
         icsSelect,
         daysLabel,
         daysInput,
+        payeeLabel,
         syncBtn
       );
       document.body.append(dialog);
@@ -341,16 +357,18 @@
         const assetId = lmSelect.value;
         const icsAccount = icsSelect.value;
         const days = parseInt(daysInput.value, 10);
+        const cleanPayees = payeeCheckbox.checked;
 
         if (!token || !assetId || !icsAccount || days < 1) return;
 
         localStorage.setItem("LUNCHMONEY_TOKEN", token);
         localStorage.setItem("LUNCHMONEY_ASSET_ID", assetId);
         localStorage.setItem("ICS_SYNC_DAYS", String(days));
+        localStorage.setItem("ICS_CLEAN_PAYEES", String(cleanPayees));
 
         dialog.close();
         dialog.remove();
-        resolve({ token, assetId, icsAccount, days, xsrfToken });
+        resolve({ token, assetId, icsAccount, days, cleanPayees, xsrfToken });
       };
 
       daysInput.addEventListener("keypress", (e) => {
@@ -359,9 +377,222 @@
     });
 
   // --- Get settings from setup dialog ---
-  const { token, assetId, icsAccount, days, xsrfToken } =
+  const { token, assetId, icsAccount, days, cleanPayees, xsrfToken } =
     await showSetupDialog();
 
+  // --- Payee rules and transaction mapping (same code and rules as the Telegram bot) ---
+  // BEGIN GENERATED by build.js - do not edit
+  // --- telegram-bot/lib/payee-rules.js ---
+
+  function validateRule(rule, index) {
+    const label = `Payee rule #${index + 1}`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${label} must be an object`);
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      throw new Error(`${label} needs a pattern`);
+    }
+    if (rule.replace !== undefined && typeof rule.replace !== 'string') {
+      throw new Error(`${label}: replace must be a string`);
+    }
+
+    // Always global so every occurrence is replaced
+    const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+    try {
+      return { regex: new RegExp(rule.pattern, flags), replace: rule.replace || '' };
+    } catch (error) {
+      throw new Error(`${label}: invalid pattern: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate rules (as parsed from JSON) and compile their patterns
+   */
+  function compilePayeeRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Payee rules must be a JSON array');
+    }
+    return rules.map(validateRule);
+  }
+
+  /**
+   * Uppercased payee for an ICS description. Without rules this is just the
+   * uppercased description, which is what earlier versions used as payee.
+   */
+  function normalizePayee(description, compiledRules = []) {
+    const original = String(description || '');
+    if (compiledRules.length === 0) {
+      return original.toUpperCase();
+    }
+
+    let payee = original;
+    for (const { regex, replace } of compiledRules) {
+      payee = payee.replace(regex, replace);
+    }
+    payee = payee.replace(/\s+/g, ' ').trim();
+
+    // A rule must never leave a transaction without a payee
+    return (payee || original).toUpperCase();
+  }
+
+  // --- telegram-bot/lib/transaction-mapper.js ---
+
+  /**
+   * Raw transaction as returned by the ICS transactionsv3 search endpoint
+   * (see docs/ics-transaction-fields.md; only the fields used here are listed).
+   *
+   * @typedef {object} IcsTransaction
+   * @property {string} transactionDate          YYYY-MM-DD
+   * @property {string} [processingTime]         HHmmss
+   * @property {string} description
+   * @property {number|string} billingAmount     negative for charges, positive for refunds
+   * @property {string} [billingCurrency]
+   * @property {number|string} [sourceAmount]
+   * @property {string} [sourceCurrency]
+   * @property {number|string} batchNr
+   * @property {number|string} batchSequenceNr
+   * @property {string} [lastFourDigits]
+   * @property {string} [embossingName]
+   * @property {string} [merchantCategoryCode]
+   * @property {string} [merchantCategoryCodeDescription]
+   */
+
+  /**
+   * Transaction for POST /v2/transactions
+   *
+   * @typedef {object} LunchMoneyTransaction
+   * @property {string} date
+   * @property {string} payee
+   * @property {number} amount                   negative for expenses
+   * @property {number} [category_id]
+   * @property {number} manual_account_id
+   * @property {number[]} tag_ids
+   * @property {string} notes
+   * @property {string} external_id
+   * @property {'unreviewed'} status
+   */
+
+  /**
+   * @typedef {object} MapOptions
+   * @property {number} assetId                  Lunch Money manual account of the ICS account
+   * @property {number|null} [tagId]             import tag added to every transaction
+   * @property {number|null} [accountTagId]      tag of the ICS account, added to every transaction
+   * @property {Array} [payeeRules]              compiled payee rules (see compilePayeeRules)
+   * @property {string} [externalIdSuffix]       appended to external_id to force a reimport
+   * @property {(transaction: IcsTransaction) => { assetId?: number, tags: string[] } | null} [findRoute]
+   *                                             card route of a transaction, if any
+   * @property {Map<string, number>} [routeTagIds] Lunch Money tag IDs of the route tag names
+   * @property {(transaction: IcsTransaction) => number | undefined} [findCategoryId]
+   *                                             Lunch Money category of a transaction, if any
+   */
+
+  /**
+   * external_id of an ICS transaction: date, processing time, batch and amount,
+   * so a pending transaction that settles with another batch or amount gets a new one
+   *
+   * @param {IcsTransaction} transaction
+   * @param {string} [suffix]
+   * @returns {string}
+   */
+  function buildExternalId(transaction, suffix) {
+    const t = transaction;
+    const baseId = `${t.transactionDate}-${t.processingTime || '000000'}-${t.batchNr}-${t.batchSequenceNr}-${t.billingAmount}`;
+    return suffix ? `${baseId}-${suffix}` : baseId;
+  }
+
+  /**
+   * Notes: the original description when payee rules changed it, and the
+   * amount in the original currency
+   *
+   * @param {IcsTransaction} transaction
+   * @param {string} payee
+   * @returns {string}
+   */
+  function buildNotes(transaction, payee) {
+    const t = transaction;
+    const noteParts = [];
+    if (payee !== (t.description || '').toUpperCase()) {
+      noteParts.push(t.description.trim());
+    }
+    if (t.sourceCurrency && t.sourceCurrency !== t.billingCurrency) {
+      noteParts.push(`Original: ${t.sourceAmount} ${t.sourceCurrency}`);
+    }
+    return noteParts.join(' | ');
+  }
+
+  /**
+   * @param {IcsTransaction} transaction
+   * @param {MapOptions} options
+   * @returns {LunchMoneyTransaction}
+   */
+  function mapTransaction(transaction, {
+    assetId,
+    tagId = null,
+    accountTagId = null,
+    payeeRules = [],
+    externalIdSuffix,
+    findRoute = () => null,
+    routeTagIds = new Map(),
+    findCategoryId = () => undefined,
+  }) {
+    // ICS billingAmount already matches the Lunch Money convention:
+    // negative = charge/expense, positive = refund/income
+    const amount = parseFloat(transaction.billingAmount);
+
+    // Uppercase, so skip_duplicates (date+payee+amount) catches duplicates even
+    // when the bank changes casing between fetches
+    const payee = normalizePayee(transaction.description, payeeRules);
+    const route = findRoute(transaction);
+    const categoryId = findCategoryId(transaction);
+
+    return {
+      date: transaction.transactionDate,
+      payee,
+      amount,
+      // Lunch Money rules (apply_rules) still run after insert and may override it
+      ...(categoryId && { category_id: categoryId }),
+      manual_account_id: route?.assetId ?? assetId,
+      // No tag IDs in dry runs, where tags are never created
+      tag_ids: [tagId, accountTagId, ...(route?.tags || []).map((name) => routeTagIds.get(name))].filter(Boolean),
+      notes: buildNotes(transaction, payee),
+      external_id: buildExternalId(transaction, externalIdSuffix),
+      status: 'unreviewed',
+    };
+  }
+
+  /**
+   * @param {IcsTransaction[]} transactions
+   * @param {MapOptions} options
+   * @returns {LunchMoneyTransaction[]}
+   */
+  function mapTransactions(transactions, options) {
+    return transactions.map((transaction) => mapTransaction(transaction, options));
+  }
+
+  // --- telegram-bot/config/payee-rules.json ---
+
+  const PAYEE_RULES = compilePayeeRules([
+    {
+      "pattern": "^(PAYPAL|PP|SQ|SP|SUMUP|ZETTLE_?|IZ|CCV)\\s*\\*\\s*",
+      "flags": "i"
+    },
+    {
+      "pattern": "\\s+(NLD|BEL|DEU|FRA|GBR|IRL|LUX|USA|ESP|PRT|ITA|AUT|CHE|DNK|SWE|NOR|POL|CZE)$",
+      "flags": "i"
+    },
+    {
+      "pattern": "\\s+#?\\d{3,}(\\s.*)?$"
+    },
+    {
+      "pattern": "\\s+(AMSTERDAM|ROTTERDAM|UTRECHT|DEN HAAG|'S-GRAVENHAGE|EINDHOVEN|GRONINGEN|TILBURG|ALMERE|BREDA|NIJMEGEN|HAARLEM|ARNHEM|LEIDEN|DELFT|SCHIPHOL)$",
+      "flags": "i"
+    }
+  ]);
+  // END GENERATED
+
+  const payeeRules = cleanPayees ? PAYEE_RULES : [];
+
   const today = new Date();
   const cutoff = new Date(today);
   cutoff.setDate(cutoff.getDate() - days);
@@ -507,31 +738,11 @@
       } catch {}
 
       // Transform transactions
-      const lmTxns = bankData.map(
-        ({
-          transactionDate,
-          description = "",
-          billingAmount,
-          billingCurrency,
-          sourceAmount,
-          sourceCurrency,
-          processingTime,
-          batchNr,
-          batchSequenceNr,
-        }) => ({
-          date: transactionDate,
-          payee: (description || "").toUpperCase(),
-          amount: Number(billingAmount),
-          manual_account_id: Number(assetId),
-          tag_ids: tagId ? [tagId] : [],
-          notes:
-            sourceCurrency && sourceCurrency !== billingCurrency
-              ? `Original: ${sourceAmount} ${sourceCurrency}`
-              : "",
-          external_id: `${transactionDate}-${processingTime || "000000"}-${batchNr}-${batchSequenceNr}-${billingAmount}`,
-          status: "unreviewed",
-        })
-      );
+      const lmTxns = mapTransactions(bankData, {
+        assetId: Number(assetId),
+        tagId,
+        payeeRules,
+      });
 
       if (lmTxns.length > 0) {
         progress.updateStatus(
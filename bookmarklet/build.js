@@ -0,0 +1,88 @@
+#!/usr/bin/env bun
+
+/**
+ * Inline the payee rules and the transaction mapping of the sync script
+ * (telegram-bot/lib/payee-rules.js, telegram-bot/lib/transaction-mapper.js and
+ * the rules file) into bookmarklet.js, between the GENERATED markers.
+ *
+ * The bookmarklet runs inside the ICS page with the user's bank session, so it
+ * must not load code or rules from anywhere at runtime.
+ *
+ *   bun bookmarklet/build.js                                  # bundled rules
+ *   PAYEE_RULES_FILE=./my-rules.json bun bookmarklet/build.js # your own rules
+ *   bun bookmarklet/build.js --check                          # fail if out of date
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { compilePayeeRules } from "../telegram-bot/lib/payee-rules.js";
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const BOT_DIR = path.join(ROOT, "..", "telegram-bot");
+const BOOKMARKLET_FILE = path.join(ROOT, "bookmarklet.js");
+const MODULES = ["lib/payee-rules.js", "lib/transaction-mapper.js"];
+const DEFAULT_RULES_FILE = path.join(BOT_DIR, "config", "payee-rules.json");
+
+const BEGIN_MARKER = "  // BEGIN GENERATED by build.js - do not edit\n";
+const END_MARKER = "  // END GENERATED\n";
+
+/**
+ * Module source as plain declarations for the bookmarklet's function body:
+ * without its header comment, imports and exports, indented one level
+ */
+function inlineModule(relativePath) {
+  const source = fs.readFileSync(path.join(BOT_DIR, relativePath), "utf8")
+    .replace(/^\/\*\*[\s\S]*?\*\/\n+/, "")
+    .replace(/^import .*;\n+/gm, "")
+    .replace(/^export /gm, "");
+  const body = source
+    .trimEnd()
+    .split("\n")
+    .map((line) => (line ? `  ${line}` : line))
+    .join("\n");
+  return `  // --- telegram-bot/${relativePath} ---\n\n${body}\n`;
+}
+
+function buildBlock(rulesFile) {
+  const rules = JSON.parse(fs.readFileSync(rulesFile, "utf8"));
+  // Fail here rather than in the user's browser
+  compilePayeeRules(rules);
+
+  const rulesJson = JSON.stringify(rules, null, 2)
+    .split("\n")
+    .map((line, i) => (i === 0 ? line : `  ${line}`))
+    .join("\n");
+  return (
+    MODULES.map(inlineModule).join("\n") +
+    `\n  // --- ${path.relative(path.join(ROOT, ".."), rulesFile)} ---\n\n` +
+    `  const PAYEE_RULES = compilePayeeRules(${rulesJson});\n`
+  );
+}
+
+const rulesFile = process.env.PAYEE_RULES_FILE
+  ? path.resolve(process.env.PAYEE_RULES_FILE)
+  : DEFAULT_RULES_FILE;
+const current = fs.readFileSync(BOOKMARKLET_FILE, "utf8");
+const start = current.indexOf(BEGIN_MARKER);
+const end = current.indexOf(END_MARKER);
+if (start === -1 || end < start) {
+  console.error(`${BOOKMARKLET_FILE} has no GENERATED markers`);
+  process.exit(1);
+}
+
+const updated =
+  current.slice(0, start + BEGIN_MARKER.length) +
+  buildBlock(rulesFile) +
+  current.slice(end);
+
+if (process.argv.includes("--check")) {
+  if (updated !== current) {
+    console.error("bookmarklet.js is out of date, run: bun bookmarklet/build.js");
+    process.exit(1);
+  }
+  console.log("bookmarklet.js is up to date");
+} else {
+  fs.writeFileSync(BOOKMARKLET_FILE, updated);
+  console.log(`Updated bookmarklet.js with ${path.relative(process.cwd(), rulesFile)}`);
+}
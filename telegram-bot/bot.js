@@ -1,9 +1,51 @@
 import TelegramBot from 'node-telegram-bot-api';
-import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import logger from './logger.js';
+import { parseCron, getNextRun, readScheduleState, writeScheduleState } from './lib/scheduler.js';
+import { parseSyncRange, lastDaysRange, rangeToArgs } from './lib/sync-range.js';
+import { startSync } from './lib/sync-client.js';
+import { buildHistoryEntry, readHistory, appendHistory, weeklyStats } from './lib/history.js';
+import { parseAllowedUsers, createUserStore, getUserDataDir, buildUserSyncEnv, SETUP_STEPS } from './lib/users.js';
+import { createSyncQueue } from './lib/sync-queue.js';
+import { createHttpServer } from './lib/http-server.js';
+import { buildHealthStatus } from './lib/health.js';
+import { createRegistry } from './lib/metrics.js';
+import {
+  loadSecrets,
+  pickSecrets,
+  buildChildEnv,
+  registerSecretValue,
+  redact,
+  SYNC_SECRET_NAMES,
+} from './lib/secrets.js';
 
-const TOKEN = process.env.TOKEN;
+// TOKEN and the sync credentials can come from files or Docker secrets (see lib/secrets.js)
+let secrets;
+try {
+  secrets = loadSecrets();
+} catch (error) {
+  logger.error('Failed to load secrets', error);
+  process.exit(1);
+}
+
+const TOKEN = secrets.values.TOKEN;
 const USER_ID = process.env.USER_ID;
+const DATA_DIR = process.env.DATA_DIR || './data';
+const SCHEDULE_FILE = path.join(DATA_DIR, 'schedule.json');
+// Credentials and account mapping saved by /setup, encrypted
+const USERS_FILE = path.join(DATA_DIR, 'users.enc');
+// Webhook mode: Telegram posts updates to this public URL instead of being polled
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+// Serves /healthz, /readyz, /metrics (and the webhook path in webhook mode)
+const HTTP_PORT = parseInt(process.env.HTTP_PORT || '8080', 10);
+// Only this machine by default; the Docker image listens on all interfaces
+const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+// /readyz fails when the last successful import is older than this (unset = never)
+const HEALTH_MAX_SYNC_AGE_DAYS = process.env.HEALTH_MAX_SYNC_AGE_DAYS
+  ? parseInt(process.env.HEALTH_MAX_SYNC_AGE_DAYS, 10)
+  : null;
 
 if (!TOKEN || !USER_ID) {
   logger.error('Missing required environment variables', null, {
@@ -12,12 +54,17 @@ if (!TOKEN || !USER_ID) {
   process.exit(1);
 }
 
+const ALLOWED_USERS = parseAllowedUsers(USER_ID, process.env.ALLOWED_USERS);
+const userStore = createUserStore(USERS_FILE, secrets.values.USERS_SECRET || TOKEN);
+
 logger.info('Initializing Telegram bot', {
   userId: USER_ID,
-  tokenPrefix: TOKEN.substring(0, 10) + '...',
+  allowedUsers: ALLOWED_USERS.size,
+  secretSources: secrets.sources,
+  mode: WEBHOOK_URL ? 'webhook' : 'polling',
 });
 
-const bot = new TelegramBot(TOKEN, {
+const bot = new TelegramBot(TOKEN, WEBHOOK_URL ? {} : {
   polling: {
     autoStart: true,
     params: {
@@ -26,6 +73,22 @@ const bot = new TelegramBot(TOKEN, {
   },
 });
 
+// Prometheus metrics served on GET /metrics. The sync script reports its own
+// measurements as metric events, which are recorded under the same names.
+const metricsRegistry = createRegistry();
+const metrics = {
+  syncRuns: metricsRegistry.counter('ics_sync_runs_total', 'Finished syncs by trigger and outcome'),
+  syncDuration: metricsRegistry.histogram('ics_sync_duration_seconds', 'Sync duration from start to exit'),
+  lunchMoneyInserted: metricsRegistry.counter('ics_sync_lunchmoney_inserted_total', 'Transactions inserted into Lunch Money'),
+  lunchMoneySkipped: metricsRegistry.counter('ics_sync_lunchmoney_skipped_total', 'Transactions skipped by Lunch Money as duplicates'),
+  pollingErrors: metricsRegistry.counter('ics_sync_telegram_polling_errors_total', 'Telegram polling errors by error code'),
+};
+const scriptMetrics = {
+  ics_sync_2fa_wait_seconds: metricsRegistry.histogram('ics_sync_2fa_wait_seconds', 'Time waited for 2FA approval by outcome'),
+  ics_sync_chunk_fetch_seconds: metricsRegistry.histogram('ics_sync_chunk_fetch_seconds', 'ICS transaction fetch time per date chunk'),
+  ics_sync_lunchmoney_responses_total: metricsRegistry.counter('ics_sync_lunchmoney_responses_total', 'Lunch Money insert responses by HTTP status'),
+};
+
 // Track consecutive errors — if we can't reach Telegram after MAX_CONSECUTIVE_ERRORS,
 // exit and let Docker restart us with a clean process/connection state.
 let consecutiveErrors = 0;
@@ -33,6 +96,7 @@ const MAX_CONSECUTIVE_ERRORS = 10;
 
 bot.on('polling_error', (error) => {
   consecutiveErrors++;
+  metrics.pollingErrors.inc({ code: error.code || 'unknown' });
 
   logger.telegram.error('polling_error', error, {
     errorCode: error.code,
@@ -50,14 +114,19 @@ bot.on('polling_error', (error) => {
   }
 });
 
+// Last update from Telegram, reported by the status endpoint
+let lastUpdateAt = null;
+
 // Reset error counter on any successful polling activity
 bot.on('message', () => {
+  lastUpdateAt = new Date().toISOString();
   if (consecutiveErrors > 0) {
     logger.debug('Resetting error counter after successful message');
     consecutiveErrors = 0;
   }
 });
 bot.on('callback_query', () => {
+  lastUpdateAt = new Date().toISOString();
   if (consecutiveErrors > 0) {
     consecutiveErrors = 0;
   }
@@ -73,11 +142,116 @@ bot.on('error', (error) => {
 });
 
 logger.info('Telegram bot started successfully', {
-  polling: true,
+  polling: !WEBHOOK_URL,
+});
+
+// --- HTTP server (status, webhook) ---
+
+// Telegram sends this back in X-Telegram-Bot-Api-Secret-Token; a random one works since it's registered on every start
+const webhookSecret = secrets.values.WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+registerSecretValue(webhookSecret);
+const processStartedAt = new Date();
+let webhookRegistered = false;
+
+const httpServer = createHttpServer({
+  metrics: () => metricsRegistry.render(),
+  metricsToken: secrets.values.METRICS_TOKEN || null,
+  status: () => buildHealthStatus({
+    mode: WEBHOOK_URL ? 'webhook' : 'polling',
+    startedAt: processStartedAt,
+    telegram: {
+      consecutiveErrors,
+      maxErrors: MAX_CONSECUTIVE_ERRORS,
+      webhookRegistered,
+      lastUpdateAt,
+    },
+    sync: { ...syncQueue.counts(), lastRun, lastImport },
+    maxSyncAgeDays: HEALTH_MAX_SYNC_AGE_DAYS,
+  }),
+  webhook: WEBHOOK_URL ? {
+    path: new URL(WEBHOOK_URL).pathname,
+    secretToken: webhookSecret,
+    onUpdate: (update) => bot.processUpdate(update),
+  } : null,
+  onError: (error, context) => {
+    logger.warn('Rejected HTTP request', { ...context, error: error.message });
+  },
+});
+
+httpServer.on('error', (error) => {
+  logger.error('HTTP server failed', error, { host: HTTP_HOST, port: HTTP_PORT });
+  process.exit(1);
 });
 
-// Lock to prevent multiple simultaneous sync operations
-let isSyncing = false;
+httpServer.listen(HTTP_PORT, HTTP_HOST, () => {
+  logger.info('HTTP server listening', { host: HTTP_HOST, port: HTTP_PORT, webhook: !!WEBHOOK_URL });
+  if (!WEBHOOK_URL) {
+    return;
+  }
+
+  logger.telegram.request('setWebHook', { url: WEBHOOK_URL });
+  bot.setWebHook(WEBHOOK_URL, { secret_token: webhookSecret })
+    .then(() => {
+      webhookRegistered = true;
+      logger.info('Webhook registered', { url: WEBHOOK_URL });
+    })
+    .catch((error) => {
+      // Without a webhook no updates arrive - exit and let Docker restart us
+      logger.telegram.error('setWebHook', error, { url: WEBHOOK_URL });
+      process.exit(1);
+    });
+});
+
+// One sync at a time per user; more requests wait in the user's queue
+const syncQueue = createSyncQueue();
+
+// userId -> function sending the picked account to a sync waiting for it
+const pendingAccountChoices = new Map();
+
+// userId -> running sync script (see lib/sync-client.js), used by the Cancel button
+const activeSyncs = new Map();
+
+// userId -> { chatId, step, config } while /setup asks its questions
+const setupSessions = new Map();
+
+// Buttons shown with the prompt and after every run
+const SYNC_BUTTONS = [
+  [
+    { text: 'GO', callback_data: 'go_button' },
+    { text: 'Preview', callback_data: 'preview_button' },
+  ],
+];
+
+// After a run that failed partway: continue it from the sync journal
+const RESUME_BUTTONS = [...SYNC_BUTTONS, [{ text: 'Resume', callback_data: 'resume_button' }]];
+
+// Shown on the progress message while a sync runs
+const CANCEL_BUTTONS = [[{ text: 'Cancel', callback_data: 'cancel_button' }]];
+
+// Period presets offered by /sync without arguments (callback data -> days)
+const RANGE_PRESETS = { range_7: 7, range_30: 30, range_90: 90 };
+const RANGE_BUTTONS = [
+  [
+    { text: '7 days', callback_data: 'range_7' },
+    { text: '30 days', callback_data: 'range_30' },
+    { text: '90 days', callback_data: 'range_90' },
+  ],
+  [{ text: 'Since last sync', callback_data: 'range_last' }],
+];
+const SYNC_USAGE = 'Usage: /sync 2026-01-01 2026-03-31, /sync 2026-01-01 (until today) or /sync 90d';
+
+// Max transactions listed per section in a preview message
+const PREVIEW_ROWS = 10;
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Cut `text` so that it fits in one message together with `suffix`
+ */
+function fitMessage(text, suffix = '') {
+  const maxLength = MAX_MESSAGE_LENGTH - suffix.length;
+  return (text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text) + suffix;
+}
 
 // Handle incoming messages
 bot.on('message', (msg) => {
@@ -85,23 +259,23 @@ bot.on('message', (msg) => {
   const userId = msg.from.id.toString();
   const username = msg.from.username || 'unknown';
   const messageText = msg.text || '(no text)';
+  // Replies to /setup carry passwords and tokens - never log them
+  const loggedText = setupSessions.has(userId) ? '(setup reply)' : messageText.substring(0, 100);
   
   logger.info('Received message', {
     userId,
     username,
     chatId,
     messageId: msg.message_id,
-    messageText: messageText.substring(0, 100),
-    expectedUserId: USER_ID,
+    messageText: loggedText,
   });
   
   // Check if user is authorized
-  if (userId !== USER_ID) {
+  if (!ALLOWED_USERS.has(userId)) {
     logger.warn('Unauthorized access attempt', {
       userId,
       username,
       chatId,
-      expectedUserId: USER_ID,
     });
     
     logger.telegram.request('sendMessage', { chat_id: chatId, text: '🫖 I\'m a teapot' });
@@ -119,17 +293,53 @@ bot.on('message', (msg) => {
     userId,
     username,
     chatId,
-    messageText: messageText.substring(0, 100),
+    messageText: loggedText,
   });
   
-  // Show inline keyboard with GO button
+  // Handle bot commands
+  const [command, ...args] = messageText.trim().split(/\s+/);
+  if (setupSessions.has(userId) && !command.startsWith('/')) {
+    handleSetupReply(msg, userId);
+    return;
+  }
+  if (command.split('@')[0] === '/setup') {
+    handleSetupCommand(chatId, userId, args);
+    return;
+  }
+  if (command.split('@')[0] === '/cancel') {
+    handleSetupCancel(chatId, userId);
+    return;
+  }
+  if (command.split('@')[0] === '/schedule') {
+    if (userId !== USER_ID) {
+      sendToUser(chatId, '⏰ Only the bot owner can change the sync schedule.', 'schedule_command');
+      return;
+    }
+    handleScheduleCommand(chatId, args);
+    return;
+  }
+  if (command.split('@')[0] === '/sync') {
+    handleSyncCommand(chatId, userId, args);
+    return;
+  }
+  if (command.split('@')[0] === '/account') {
+    handleAccountCommand(chatId, userId);
+    return;
+  }
+  if (['/history', '/last', '/stats'].includes(command.split('@')[0])) {
+    handleHistoryCommand(chatId, userId, command.split('@')[0], args);
+    return;
+  }
+
+  if (!canSync(userId)) {
+    sendToUser(chatId, '👋 Run /setup to connect your ICS and Lunch Money accounts first.', 'setup_needed');
+    return;
+  }
+  
+  // Show inline keyboard with GO and Preview buttons
   const options = {
     reply_markup: {
-      inline_keyboard: [
-        [
-          { text: 'GO', callback_data: 'go_button' }
-        ]
-      ]
+      inline_keyboard: SYNC_BUTTONS
     }
   };
   
@@ -166,13 +376,12 @@ bot.on('callback_query', async (query) => {
   });
   
   // Check if user is authorized
-  if (userId !== USER_ID) {
+  if (!ALLOWED_USERS.has(userId)) {
     logger.warn('Unauthorized callback query', {
       userId,
       username,
       chatId,
       callbackData,
-      expectedUserId: USER_ID,
     });
     
     logger.telegram.request('answerCallbackQuery', { 
@@ -189,438 +398,1193 @@ bot.on('callback_query', async (query) => {
     return;
   }
   
-  // Check if sync is already running
-  if (isSyncing) {
-    logger.warn('Sync already in progress, rejecting callback', {
-      userId,
-      chatId,
-      callbackData,
-    });
-    
-    logger.telegram.request('answerCallbackQuery', { 
-      callback_query_id: query.id, 
-      text: '⏳ Sync already in progress. Please wait...',
-      show_alert: true,
-    });
+  // Cancel the running sync
+  if (callbackData === 'cancel_button') {
+    await handleCancel(query);
+    return;
+  }
+
+  // Account picked while a sync is waiting for it
+  if (callbackData.startsWith('account:')) {
+    await handleAccountChoice(query, callbackData.slice('account:'.length));
+    return;
+  }
+
+  if (!canSync(userId)) {
     await bot.answerCallbackQuery(query.id, {
-      text: '⏳ Sync already in progress. Please wait...',
+      text: 'Run /setup to connect your ICS and Lunch Money accounts first.',
       show_alert: true
     }).catch((error) => {
-      logger.telegram.error('answerCallbackQuery', error, { queryId: query.id, type: 'busy' });
+      logger.telegram.error('answerCallbackQuery', error, { queryId: query.id, type: 'setup_needed' });
     });
     return;
   }
-  
-  // Set sync lock
-  isSyncing = true;
-  logger.sync.start({
-    userId,
-    username,
+
+  // Presets run a fixed number of days; "Since last sync" is the default incremental sync
+  const presetDays = RANGE_PRESETS[callbackData];
+  const resume = callbackData === 'resume_button';
+  const { ahead } = queueSync({
     chatId,
     messageId,
-    callbackData,
-  });
-  
+    userId,
+    trigger: resume ? 'resume' : 'button',
+    dryRun: callbackData === 'preview_button',
+    range: presetDays ? lastDaysRange(presetDays) : null,
+    resume,
+  }, resume ? 'Resuming...' : 'Processing...', query.message.text);
+
   // Answer the callback query
+  const answerText = ahead > 0 ? '⏳ Queued after your current sync' : 'Processing...';
   logger.telegram.request('answerCallbackQuery', { 
     callback_query_id: query.id, 
-    text: 'Processing...',
+    text: answerText,
     show_alert: false,
   });
   await bot.answerCallbackQuery(query.id, {
-    text: 'Processing...',
+    text: answerText,
     show_alert: false
   }).catch((error) => {
     logger.telegram.error('answerCallbackQuery', error, { queryId: query.id, type: 'processing' });
   });
-  
-  // Update message to show processing
-  logger.telegram.request('editMessageText', { 
-    chat_id: chatId, 
-    message_id: messageId, 
-    text: 'Processing...',
-  });
-  await bot.editMessageText('Processing...', {
-    chat_id: chatId,
-    message_id: messageId
-  }).catch((error) => {
-    logger.telegram.error('editMessageText', error, { chatId, messageId, type: 'processing' });
+});
+
+/**
+ * List reconciliation corrections (stale pending transactions updated or deleted)
+ */
+function formatCorrections(corrections, dryRun) {
+  if (!corrections?.length) {
+    return '';
+  }
+  const lines = corrections.slice(0, PREVIEW_ROWS).map((c) => {
+    const verb = c.action === 'update' ? 'updated' : 'deleted';
+    const status = dryRun ? `would be ${verb}` : c.applied ? verb : `${c.action} failed`;
+    return `${c.oldDate} ${String(c.payee).substring(0, 30)} ${c.oldAmount} → ${c.newAmount} (${status})`;
   });
-  
-  // Execute the sync script via bun
-  const scriptPath = './scripts/sync-transactions.js';
-  logger.info('Spawning sync script process', {
-    scriptPath,
-    cwd: '/app',
-    command: 'bun run',
-    hasEnvVars: !!process.env.ICS_EMAIL && !!process.env.LUNCHMONEY_TOKEN,
+  if (corrections.length > PREVIEW_ROWS) {
+    lines.push(`...and ${corrections.length - PREVIEW_ROWS} more`);
+  }
+  return `\n\n🔧 Pending transaction corrections:\n${lines.join('\n')}`;
+}
+
+/**
+ * Balance check lines (ICS vs Lunch Money) for accounts that were checked
+ */
+function formatBalances(accounts) {
+  const checked = (accounts || []).filter((account) => account.balance);
+  if (checked.length === 0) {
+    return '';
+  }
+  const lines = checked.map((account) => {
+    const { icsBalance, lunchMoneyBalance, drift, updated, error } = account.balance;
+    const label = checked.length > 1 ? `${account.accountName || account.accountNumber}: ` : '';
+    if (error) {
+      return `${label}balance check failed: ${error}`;
+    }
+    if (!drift) {
+      return `${label}✅ ${icsBalance} matches Lunch Money`;
+    }
+    return `${label}⚠️ ICS ${icsBalance}, Lunch Money ${lunchMoneyBalance} (drift ${drift})` +
+      (updated ? ' - Lunch Money balance updated' : '');
   });
+  return `\n\n💰 Balance:\n${lines.join('\n')}`;
+}
+
+/**
+ * Format a successful sync result for Telegram
+ */
+function formatSyncResult(resultJson) {
+  let text = `✅ ${resultJson.message}\n\n` +
+    `📊 Transactions found: ${resultJson.transactionsCount}\n` +
+    `📥 Inserted: ${resultJson.insertedCount ?? 0}\n` +
+    `⏭️ Skipped (duplicates): ${resultJson.skippedCount ?? 0}`;
+  if (resultJson.routedCount > 0) {
+    text += `\n🔀 Routed by card rules: ${resultJson.routedCount}`;
+  }
+  if (resultJson.categorizedCount > 0) {
+    text += `\n🗂 Categorized by merchant type: ${resultJson.categorizedCount}`;
+  }
+  if (resultJson.lunchMoneyRetries > 0) {
+    text += `\n🔁 Lunch Money retries: ${resultJson.lunchMoneyRetries}`;
+  }
+  if (resultJson.fromDate) {
+    text += `\n📅 Period: ${resultJson.fromDate} to ${resultJson.untilDate}`;
+    if (resultJson.syncMode) {
+      text += ` (${resultJson.syncMode})`;
+    }
+  }
+  if (resultJson.accounts?.length > 1) {
+    text += '\n\n' + resultJson.accounts.map((account) => {
+      const label = `💳 ${account.accountName || account.accountNumber} → ${account.assetId}`;
+      return account.success
+        ? `${label}: ${account.insertedCount} inserted, ${account.skippedCount} skipped (${account.transactionsCount} found)`
+        : `${label}: ❌ ${account.error}`;
+    }).join('\n');
+  }
+  text += formatCorrections(resultJson.corrections, false);
+  text += formatBalances(resultJson.accounts);
+  if (resultJson.warning) {
+    text += `\n\n⚠️ ${resultJson.warning}`;
+  }
+  return text;
+}
+
+/**
+ * Format a dry-run preview for Telegram
+ */
+function formatPreviewResult(resultJson) {
+  const counts = resultJson.previewCounts;
+  let text = '🔍 Preview - nothing was written to Lunch Money\n\n' +
+    `📊 Transactions found: ${resultJson.transactionsCount}\n` +
+    `📥 Would be inserted: ${counts.insert}\n` +
+    `⏭️ Would be skipped as duplicates: ${counts.exists + counts.duplicate}\n` +
+    `⚠️ Exist with a different amount: ${counts.changed}`;
+  if (resultJson.fromDate) {
+    text += `\n📅 Period: ${resultJson.fromDate} to ${resultJson.untilDate}`;
+  }
+
+  const rows = (resultJson.accounts || []).flatMap((account) => account.preview?.rows || []);
+  const listRows = (status, title) => {
+    const matching = rows.filter((row) => row.status === status);
+    if (matching.length === 0) {
+      return '';
+    }
+    const lines = matching.slice(0, PREVIEW_ROWS).map((row) => {
+      const line = `${row.date} ${row.payee.substring(0, 30)} ${row.amount}`;
+      return status === 'changed' ? `${line} (Lunch Money: ${row.existingAmount})` : line;
+    });
+    if (matching.length > PREVIEW_ROWS) {
+      lines.push(`...and ${matching.length - PREVIEW_ROWS} more`);
+    }
+    return `\n\n${title}:\n${lines.join('\n')}`;
+  };
+  text += listRows('insert', '📥 New');
+  text += listRows('changed', '⚠️ Different amount');
+  text += formatCorrections(resultJson.corrections, true);
+
+  return text;
+}
+
+/**
+ * Run the sync script and report progress/result by editing the given message.
+ * Resolves once the script exits; only called through queueSync.
+ */
+function runSync({ chatId, messageId, userId, trigger, dryRun = false, range = null, resume = false }) {
+  return new Promise((resolve) => {
+    // Execute the sync script via bun
+    const scriptPath = './scripts/ics-sync.js';
+    const startedAt = new Date();
+    logger.info('Spawning sync script process', {
+      scriptPath,
+      trigger,
+      dryRun,
+      range,
+      resume,
+      cwd: '/app',
+      command: 'bun run',
+      userId,
+      hasStoredConfig: !!getUserConfig(userId),
+    });
   
-  const bunProcess = spawn('bun', ['run', scriptPath], {
-    cwd: '/app',
-    stdio: ['pipe', 'pipe', 'pipe'],
-    env: process.env  // Pass all environment variables
-  });
+    const scriptArgs = [
+      'sync',
+      ...(dryRun ? ['--dry-run'] : []),
+      ...(range ? rangeToArgs(range) : []),
+      ...(resume ? ['--resume'] : []),
+    ];
+    // The bot can always ask which account to sync, so let the script wait for a pick
+    scriptArgs.push('--pick-account');
+    const syncProcess = startSync({
+      scriptPath,
+      args: scriptArgs,
+      cwd: '/app',
+      // Only the secrets the script needs - never the bot token
+      env: buildUserSyncEnv(
+        buildChildEnv(process.env, pickSecrets(SYNC_SECRET_NAMES)),
+        getUserConfig(userId),
+        userDataDir(userId)
+      ),
+    });
   
-  logger.info('Sync script process spawned', {
-    pid: bunProcess.pid,
-    scriptPath,
-  });
+    activeSyncs.set(userId, syncProcess);
   
-  let stdout = '';
-  let stderr = '';
-  let lastStatusMessage = 'Processing...';
-  let statusUpdateInterval = null;
-  let lastLogTime = Date.now();
+    logger.info('Sync script process spawned', {
+      pid: syncProcess.pid,
+      scriptPath,
+    });
+
+    // Offer Cancel right away; progress updates keep the button
+    bot.editMessageReplyMarkup({ inline_keyboard: CANCEL_BUTTONS }, {
+      chat_id: chatId,
+      message_id: messageId,
+    }).catch((error) => {
+      logger.telegram.error('editMessageReplyMarkup', error, { chatId, messageId, type: 'cancel_button' });
+    });
   
-  // Function to update status message
-  const updateStatus = async (message) => {
-    try {
-      await bot.editMessageText(message, {
-        chat_id: chatId,
-        message_id: messageId
-      });
-      lastStatusMessage = message;
-    } catch (error) {
-      // If edit fails, just log it - we'll send final message later
-      console.error('Failed to update status:', error);
-    }
-  };
+    let lastStatusMessage = 'Processing...';
+    let statusUpdateInterval = null;
+    let lastLogTime = Date.now();
+    // Why 2FA is needed again (set when a saved ICS session turns out to be expired)
+    let sessionExpiredReason = null;
   
-  // Parse progress updates from stderr (JSON logs)
-  bunProcess.stderr.on('data', async (data) => {
-    const dataStr = data.toString();
-    stderr += dataStr;
-    const now = Date.now();
-
-    // Log all stderr to console for Docker logs (but throttle if too verbose)
-    // Always log DEBUG-level messages and step updates
-    if (now - lastLogTime > 1000 || dataStr.includes('step') || dataStr.includes('DEBUG')) {
-      logger.debug('Sync script stderr', {
-        data: dataStr.trim().substring(0, 500),
-        stderrLength: stderr.length,
-      });
-      lastLogTime = now;
-    }
-
-    // Try to parse JSON lines from stderr
-    const lines = dataStr.split('\n').filter(line => line.trim());
-    for (const line of lines) {
+    // Function to update status message
+    const updateStatus = async (message) => {
       try {
-        const logEntry = JSON.parse(line);
-        
-        // Log structured sync step
-        if (logEntry.step) {
-          logger.sync.step(logEntry.step, logEntry.message || '', {
-            ...logEntry,
-            userId,
-            chatId,
-          });
-        }
-        
-        if (logEntry.step && logEntry.message) {
-          // Map step to user-friendly message
-          let userMessage = '';
-          switch (logEntry.step) {
-            case 'browser_launch':
-              userMessage = '🌐 Launching browser...';
-              break;
-            case 'page_load':
-              userMessage = '📄 Loading login page...';
-              break;
-            case 'fill_form':
-              userMessage = '✍️ Filling credentials...';
-              break;
-            case 'submit_form':
-              userMessage = '🔐 Submitting login form...';
-              break;
-            case '2fa_wait':
-              userMessage = '⏳ Waiting for 2FA confirmation on your phone...\n\nPlease check your mobile app and approve the login.';
-              break;
-            case '2fa_verified':
-              userMessage = '✅ 2FA confirmed!';
-              break;
-            case 'determine_account':
-              userMessage = '🔍 Determining account...';
-              break;
-            case 'account_selected':
-            case 'account_auto_detected':
-              userMessage = `✅ ${logEntry.message}`;
-              break;
-            case 'fetch_account_details':
-              userMessage = `🔎 ${logEntry.message}`;
-              break;
-            case 'fetch_transactions':
-              userMessage = '💳 Fetching transactions...';
-              break;
-            case 'fetch_chunk':
-              userMessage = `📅 ${logEntry.message}`;
-              break;
-            case 'chunk_complete':
-              userMessage = `✅ ${logEntry.message}`;
-              break;
-            case 'sync_lunchmoney':
-              userMessage = `📤 Syncing to Lunch Money...\n${logEntry.message}`;
-              break;
-            case 'sync_batch':
-              userMessage = `📦 ${logEntry.message}`;
-              break;
-            default:
-              userMessage = logEntry.message || 'Processing...';
+        await bot.editMessageText(message, {
+          chat_id: chatId,
+          message_id: messageId,
+          reply_markup: {
+            inline_keyboard: CANCEL_BUTTONS
           }
-          
-          if (userMessage) {
-            await updateStatus(userMessage);
+        });
+        lastStatusMessage = message;
+      } catch (error) {
+        // If edit fails, just log it - we'll send final message later
+        console.error('Failed to update status:', error);
+      }
+    };
+  
+    // Human-readable script logs, forwarded to Docker logs
+    syncProcess.on('log', (text) => {
+      const now = Date.now();
+      // Throttle if too verbose, but always log debug output
+      if (now - lastLogTime > 1000 || text.includes('DEBUG')) {
+        logger.debug('Sync script stderr', {
+          data: text.trim().substring(0, 500),
+        });
+        lastLogTime = now;
+      }
+    });
+
+    // Typed events from the script (progress, counts, warnings, account choice)
+    syncProcess.on('event', async (event) => {
+      switch (event.type) {
+        case 'progress':
+          logger.sync.step(event.step, event.message || '', { ...event, userId, chatId });
+          break;
+        case 'metric': {
+          const metric = scriptMetrics[event.name];
+          if (metric?.inc) {
+            metric.inc(event.labels, event.value);
+          } else if (metric?.observe) {
+            metric.observe(event.value, event.labels);
           }
+          return;
         }
-        
-        // Log errors from sync script
-        if (logEntry.success === false || logEntry.error) {
-          logger.sync.error(logEntry.step || 'unknown', new Error(logEntry.error || 'Unknown error'), {
-            ...logEntry,
+        case 'counts':
+          // Per-batch counts; the per-account ones repeat the same totals
+          if (event.step === 'sync_batch_complete') {
+            metrics.lunchMoneyInserted.inc({}, event.insertedCount || 0);
+            metrics.lunchMoneySkipped.inc({}, event.skippedCount || 0);
+          }
+          logger.sync.step(event.step || event.type, event.message || '', { ...event, userId, chatId });
+          return;
+        case 'warning':
+          logger.sync.step(event.step || event.type, event.message || '', { ...event, userId, chatId });
+          return;
+        case 'error':
+          logger.sync.error(event.step || 'unknown', new Error(event.message || 'Unknown error'), {
+            ...event,
             userId,
             chatId,
           });
-        }
-      } catch (e) {
-        // Not JSON, log as plain text if it looks important
-        const trimmed = line.trim();
-        if (trimmed.length > 0 && !trimmed.includes('[Object') && !trimmed.includes('[Function')) {
-          logger.debug('Sync script non-JSON output', {
-            line: trimmed.substring(0, 200),
+          return;
+        case 'account_choice':
+          // Several accounts and none configured - show one button per account
+          pendingAccountChoices.set(userId, (choice) => syncProcess.chooseAccount(choice));
+          await bot.editMessageText(formatAccountChoice(event.accounts), {
+            chat_id: chatId,
+            message_id: messageId,
+            reply_markup: {
+              inline_keyboard: [
+                ...event.accounts.map((account) => [
+                  { text: formatAccountButton(account), callback_data: `account:${account.accountNumber}` },
+                ]),
+                ...CANCEL_BUTTONS,
+              ],
+            },
+          }).catch((error) => {
+            logger.telegram.error('editMessageText', error, { chatId, messageId, type: 'account_choice' });
           });
+          return;
+        default:
+          return;
+      }
+
+      if (event.step && event.message) {
+        // Map step to user-friendly message
+        let userMessage = '';
+        switch (event.step) {
+          case 'browser_launch':
+            userMessage = '🌐 Launching browser...';
+            break;
+          case 'page_load':
+            userMessage = '📄 Loading login page...';
+            break;
+          case 'fill_form':
+            userMessage = '✍️ Filling credentials...';
+            break;
+          case 'session_restore':
+            userMessage = '🔑 Checking saved ICS session...';
+            break;
+          case 'session_restored':
+            userMessage = '♻️ Saved ICS session is still valid, no 2FA needed';
+            break;
+          case 'session_expired':
+            sessionExpiredReason = event.message;
+            userMessage = `🔑 ${event.message}`;
+            break;
+          case 'submit_form':
+            userMessage = '🔐 Submitting login form...';
+            break;
+          case '2fa_wait':
+            userMessage = '⏳ Waiting for 2FA confirmation on your phone...\n\nPlease check your mobile app and approve the login.';
+            if (sessionExpiredReason) {
+              userMessage += `\n\nℹ️ ${sessionExpiredReason}`;
+            }
+            break;
+          case '2fa_verified':
+            userMessage = '✅ 2FA confirmed!';
+            break;
+          case 'determine_account':
+            userMessage = '🔍 Determining account...';
+            break;
+          case 'account_selected':
+          case 'account_auto_detected':
+          case 'accounts_mapped':
+            userMessage = `✅ ${event.message}`;
+            break;
+          case 'fetch_account_details':
+            userMessage = `🔎 ${event.message}`;
+            break;
+          case 'fetch_transactions':
+            userMessage = '💳 Fetching transactions...';
+            break;
+          case 'fetch_chunk':
+            userMessage = `📅 ${event.message}`;
+            break;
+          case 'chunk_complete':
+            userMessage = `✅ ${event.message}`;
+            break;
+          case 'sync_lunchmoney':
+            userMessage = `📤 Syncing to Lunch Money...\n${event.message}`;
+            break;
+          case 'sync_batch':
+            userMessage = `📦 ${event.message}`;
+            break;
+          case 'sync_batch_retry':
+            userMessage = `🔁 ${event.message}`;
+            break;
+          default:
+            userMessage = event.message || 'Processing...';
+        }
+          
+        if (userMessage) {
+          await updateStatus(userMessage);
         }
       }
-    }
-  });
-  
-  // Collect stdout (final result)
-  bunProcess.stdout.on('data', (data) => {
-    const dataStr = data.toString();
-    stdout += dataStr;
-    logger.debug('Sync script stdout', {
-      data: dataStr.trim().substring(0, 500),
-      stdoutLength: stdout.length,
     });
-  });
   
-  bunProcess.on('close', async (code) => {
-    logger.info('Sync script process closed', {
-      pid: bunProcess.pid,
-      exitCode: code,
-      stdoutLength: stdout.length,
-      stderrLength: stderr.length,
-      userId,
-      chatId,
-    });
+    syncProcess.on('exit', async ({ code, signal, result: resultJson, error: errorEvent, stderrTail }) => {
+      logger.info('Sync script process closed', {
+        pid: syncProcess.pid,
+        exitCode: code,
+        signal,
+        hasResult: !!resultJson,
+        hasError: !!errorEvent,
+        userId,
+        chatId,
+      });
     
-    // Release sync lock
-    isSyncing = false;
+      pendingAccountChoices.delete(userId);
+      activeSyncs.delete(userId);
     
-    // Clear any status update interval
-    if (statusUpdateInterval) {
-      clearInterval(statusUpdateInterval);
-      logger.debug('Cleared status update interval');
-    }
+      // Clear any status update interval
+      if (statusUpdateInterval) {
+        clearInterval(statusUpdateInterval);
+        logger.debug('Cleared status update interval');
+      }
     
-    let result;
+      let result;
+      // Summary handed back to the caller (e.g. the scheduler reports failed runs)
+      const outcome = { success: false, result: null, error: null, step: null };
+      // The script keeps a journal of failed runs, so they can continue where they stopped
+      const resumable = !!(resultJson?.resumable || errorEvent?.resumable);
+      const finalButtons = resumable ? RESUME_BUTTONS : SYNC_BUTTONS;
     
-    if (code === 0) {
-      logger.info('Sync script completed successfully', {
-        exitCode: code,
-        stdoutLength: stdout.length,
-      });
-      
-      // Parse JSON result from stdout
-      try {
-        const resultJson = JSON.parse(stdout.trim());
+      if (resultJson) {
         logger.sync.complete(resultJson, {
           userId,
           chatId,
           messageId,
         });
-        
-        if (resultJson.success) {
-          result = `✅ ${resultJson.message}\n\n` +
-            `📊 Transactions found: ${resultJson.transactionsCount}\n` +
-            `📤 Synced to Lunch Money: ${resultJson.syncedCount}\n` +
-            `📅 Period: ${resultJson.fromDate} to ${resultJson.untilDate}`;
+      
+        outcome.result = resultJson;
+        if (resultJson.cancelled) {
+          outcome.error = 'cancelled';
+          outcome.step = 'cancelled';
+          result = '🛑 Sync cancelled.';
+        } else if (resultJson.success) {
+          outcome.success = true;
+          result = resultJson.dryRun ? formatPreviewResult(resultJson) : formatSyncResult(resultJson);
         } else {
+          outcome.error = resultJson.error || 'Unknown error';
+          outcome.step = resultJson.step || 'unknown';
           result = `❌ Error: ${resultJson.error || 'Unknown error'}`;
-          logger.sync.error(resultJson.step || 'unknown', new Error(resultJson.error), {
-            ...resultJson,
-            userId,
-            chatId,
-          });
         }
-      } catch (e) {
-        logger.warn('Failed to parse sync result JSON', {
-          error: e.message,
-          stdout: stdout.substring(0, 500),
+      } else if (errorEvent) {
+        // Already logged when the error event arrived
+        outcome.error = errorEvent.message;
+        outcome.step = errorEvent.step || 'unknown';
+        result = `❌ Error: ${errorEvent.message}\n\nStep: ${errorEvent.step || 'unknown'}`;
+      } else {
+        // Crashed before it could report anything
+        logger.error('Sync script exited without a result', null, {
+          exitCode: code,
+          signal,
+          stderrPreview: stderrTail.substring(0, 500),
           userId,
           chatId,
         });
-        // Fallback if JSON parsing fails
-        result = `✅ Success!\n\n${stdout || 'Sync completed successfully.'}`;
+        outcome.error = `exit code ${code}`;
+        result = `❌ Error (exit code: ${code})\n\n${redact(stderrTail.substring(0, 500)) || 'Script execution failed.'}`;
       }
-    } else {
-      logger.error('Sync script failed', null, {
-        exitCode: code,
-        stdoutLength: stdout.length,
-        stderrLength: stderr.length,
-        stderrPreview: stderr.substring(0, 500),
-        userId,
-        chatId,
+    
+      result = fitMessage(result, resumable ? '\n\n↩️ Tap Resume to continue where it stopped.' : '');
+
+      // Update message with final result
+      logger.telegram.request('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text: result.substring(0, 100) + '...',
       });
-      
-      // Try to parse error from stderr
+    
       try {
-        const stderrLines = stderr.trim().split('\n').filter(l => l.trim());
-        const lastLine = stderrLines[stderrLines.length - 1] || '{}';
-        const errorJson = JSON.parse(lastLine);
-        
-        if (errorJson.error) {
-          result = `❌ Error: ${errorJson.error}\n\nStep: ${errorJson.step || 'unknown'}`;
-          logger.sync.error(errorJson.step || 'unknown', new Error(errorJson.error), {
-            ...errorJson,
+        await bot.editMessageText(result, {
+          chat_id: chatId,
+          message_id: messageId,
+          reply_markup: {
+            inline_keyboard: finalButtons
+          }
+        });
+        logger.info('Final result message updated', {
+          userId,
+          chatId,
+          messageId,
+          resultLength: result.length,
+        });
+      } catch (error) {
+        // If message edit fails (e.g., message too old), send a new message
+        logger.telegram.error('editMessageText', error, {
+          chatId,
+          messageId,
+          type: 'final_result',
+          fallback: true,
+        });
+      
+        logger.telegram.request('sendMessage', {
+          chat_id: chatId,
+          text: result.substring(0, 100) + '...',
+        });
+      
+        bot.sendMessage(chatId, result, {
+          reply_markup: {
+            inline_keyboard: finalButtons
+          }
+        }).then((response) => {
+          logger.telegram.response('sendMessage', response);
+          logger.info('Sent new message with result (edit failed)', {
             userId,
             chatId,
+            newMessageId: response.message_id,
+          });
+        }).catch((sendError) => {
+          logger.telegram.error('sendMessage', sendError, {
+            chatId,
+            type: 'final_result_fallback',
           });
-        } else {
-          result = `❌ Error (exit code: ${code})\n\n${stderr.substring(0, 500) || 'Script execution failed.'}`;
-        }
-      } catch (e) {
-        logger.warn('Failed to parse error JSON from stderr', {
-          error: e.message,
-          stderrPreview: stderr.substring(0, 500),
-          userId,
-          chatId,
         });
-        result = `❌ Error (exit code: ${code})\n\n${stderr.substring(0, 500) || 'Script execution failed.'}`;
       }
-    }
-    
-    // Update message with final result
-    logger.telegram.request('editMessageText', {
-      chat_id: chatId,
-      message_id: messageId,
-      text: result.substring(0, 100) + '...',
+
+      recordSyncMetrics(trigger, startedAt, outcome);
+      recordHistory(userId, buildHistoryEntry({ startedAt, finishedAt: new Date(), trigger, dryRun, outcome }));
+      resolve(outcome);
     });
+  
+    syncProcess.on('spawn_error', async (error) => {
+      pendingAccountChoices.delete(userId);
+      activeSyncs.delete(userId);
     
-    try {
-      await bot.editMessageText(result, {
-        chat_id: chatId,
-        message_id: messageId,
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'GO', callback_data: 'go_button' }
-            ]
-          ]
-        }
-      });
-      logger.info('Final result message updated', {
+      logger.error('Failed to spawn/execute sync script', error, {
+        scriptPath,
         userId,
         chatId,
         messageId,
-        resultLength: result.length,
       });
-    } catch (error) {
-      // If message edit fails (e.g., message too old), send a new message
-      logger.telegram.error('editMessageText', error, {
-        chatId,
-        messageId,
-        type: 'final_result',
-        fallback: true,
-      });
-      
-      logger.telegram.request('sendMessage', {
+    
+      const errorMsg = `❌ Failed to execute script:\n${error.message}`;
+    
+      logger.telegram.request('editMessageText', {
         chat_id: chatId,
-        text: result.substring(0, 100) + '...',
+        message_id: messageId,
+        text: errorMsg.substring(0, 100) + '...',
       });
-      
-      bot.sendMessage(chatId, result, {
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'GO', callback_data: 'go_button' }
-            ]
-          ]
-        }
-      }).then((response) => {
-        logger.telegram.response('sendMessage', response);
-        logger.info('Sent new message with result (edit failed)', {
-          userId,
-          chatId,
-          newMessageId: response.message_id,
+    
+      try {
+        await bot.editMessageText(errorMsg, {
+          chat_id: chatId,
+          message_id: messageId,
+          reply_markup: {
+            inline_keyboard: SYNC_BUTTONS
+          }
         });
-      }).catch((sendError) => {
-        logger.telegram.error('sendMessage', sendError, {
+      } catch (editError) {
+        logger.telegram.error('editMessageText', editError, {
           chatId,
-          type: 'final_result_fallback',
+          messageId,
+          type: 'process_error',
+          fallback: true,
         });
-      });
-    }
+      
+        logger.telegram.request('sendMessage', {
+          chat_id: chatId,
+          text: errorMsg.substring(0, 100) + '...',
+        });
+      
+        bot.sendMessage(chatId, errorMsg, {
+          reply_markup: {
+            inline_keyboard: SYNC_BUTTONS
+          }
+        }).catch((sendError) => {
+          logger.telegram.error('sendMessage', sendError, {
+            chatId,
+            type: 'process_error_fallback',
+          });
+        });
+      }
+
+      const outcome = { success: false, result: null, error: error.message, step: 'spawn' };
+      recordSyncMetrics(trigger, startedAt, outcome);
+      recordHistory(userId, buildHistoryEntry({ startedAt, finishedAt: new Date(), trigger, dryRun, outcome }));
+      resolve(outcome);
+    });
   });
-  
-  bunProcess.on('error', async (error) => {
-    // Release sync lock on error
-    isSyncing = false;
-    
-    logger.error('Failed to spawn/execute sync script', error, {
-      scriptPath,
-      userId,
-      chatId,
-      messageId,
+}
+
+// --- Users and queue ---
+
+function userDataDir(userId) {
+  return getUserDataDir(DATA_DIR, userId, USER_ID);
+}
+
+/**
+ * Config saved by /setup, or null (also when users.enc can't be read).
+ * Its credentials are redacted from logs like the ones from the environment.
+ */
+function getUserConfig(userId) {
+  try {
+    const config = userStore.get(userId);
+    registerSecretValue(config?.icsPassword);
+    registerSecretValue(config?.lunchmoneyToken);
+    return config;
+  } catch (error) {
+    logger.error('Failed to read user configs', error, { file: USERS_FILE });
+    return null;
+  }
+}
+
+// The owner can sync with the credentials from the environment, everyone else needs /setup
+function canSync(userId) {
+  return userId === USER_ID || !!getUserConfig(userId);
+}
+
+/**
+ * Run a sync once the user's earlier syncs have finished. While it waits the
+ * message says it's queued; when it starts the message shows `startText`.
+ *
+ * @param shownText what the message shows right now (no edit needed if it's startText)
+ * @returns { ahead, done } - syncs ahead in the queue and a promise for the runSync outcome
+ */
+function queueSync(options, startText, shownText = startText) {
+  const { chatId, messageId, userId } = options;
+  const queued = syncQueue.isBusy(userId);
+  let ahead = 0;
+  const done = new Promise((resolve) => {
+    ahead = syncQueue.enqueue(userId, async () => {
+      logger.sync.start({ ...options });
+      if (queued || startText !== shownText) {
+        await bot.editMessageText(startText, {
+          chat_id: chatId,
+          message_id: messageId
+        }).catch((error) => {
+          logger.telegram.error('editMessageText', error, { chatId, messageId, type: 'processing' });
+        });
+      }
+      resolve(await runSync(options));
     });
-    
-    const errorMsg = `❌ Failed to execute script:\n${error.message}`;
-    
-    logger.telegram.request('editMessageText', {
+  });
+
+  if (queued) {
+    logger.info('Sync queued', { userId, chatId, trigger: options.trigger, ahead });
+    const waitingFor = ahead > 1 ? `${ahead} earlier syncs finish` : 'current sync finishes';
+    bot.editMessageText(`⏳ Queued - starts when your ${waitingFor}.`, {
       chat_id: chatId,
-      message_id: messageId,
-      text: errorMsg.substring(0, 100) + '...',
+      message_id: messageId
+    }).catch((error) => {
+      logger.telegram.error('editMessageText', error, { chatId, messageId, type: 'queued' });
     });
-    
+  }
+  return { ahead, done };
+}
+
+/**
+ * /setup: ask for the user's ICS login, Lunch Money token and account mapping
+ * one message at a time. /setup remove deletes the saved config.
+ */
+function handleSetupCommand(chatId, userId, args) {
+  if (args[0] === 'remove') {
+    setupSessions.delete(userId);
+    let reply;
     try {
-      await bot.editMessageText(errorMsg, {
-        chat_id: chatId,
-        message_id: messageId,
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'GO', callback_data: 'go_button' }
-            ]
-          ]
-        }
-      });
-    } catch (editError) {
-      logger.telegram.error('editMessageText', editError, {
-        chatId,
-        messageId,
-        type: 'process_error',
-        fallback: true,
-      });
-      
-      logger.telegram.request('sendMessage', {
-        chat_id: chatId,
-        text: errorMsg.substring(0, 100) + '...',
-      });
-      
-      bot.sendMessage(chatId, errorMsg, {
-        reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'GO', callback_data: 'go_button' }
-            ]
-          ]
-        }
-      }).catch((sendError) => {
-        logger.telegram.error('sendMessage', sendError, {
-          chatId,
-          type: 'process_error_fallback',
-        });
-      });
+      reply = userStore.remove(userId)
+        ? '🗑 Your saved credentials were removed.'
+        : '🗑 Nothing saved for you.';
+    } catch (error) {
+      logger.error('Failed to remove user config', error, { userId, file: USERS_FILE });
+      reply = `❌ Failed to remove your config: ${error.message}`;
+    }
+    logger.info('User config removed', { userId, chatId });
+    sendToUser(chatId, reply, 'setup_remove');
+    return;
+  }
+
+  setupSessions.set(userId, { chatId, step: 0, config: {} });
+  logger.info('User setup started', { userId, chatId });
+
+  const existing = getUserConfig(userId);
+  const intro = existing
+    ? `🔧 This replaces your current setup (ICS login ${existing.icsEmail}).`
+    : '🔧 Let\'s connect your ICS and Lunch Money accounts.';
+  sendToUser(chatId, `${intro} Send /cancel to stop.\n\n1/${SETUP_STEPS.length}: ${SETUP_STEPS[0].prompt}`, 'setup_step');
+}
+
+async function handleSetupReply(msg, userId) {
+  const chatId = msg.chat.id;
+  const session = setupSessions.get(userId);
+  const step = SETUP_STEPS[session.step];
+  const text = (msg.text || '').trim();
+
+  // Don't leave passwords and tokens in the chat history (or the logs)
+  if (step.secret) {
+    registerSecretValue(text);
+    await bot.deleteMessage(chatId, msg.message_id).catch((error) => {
+      logger.telegram.error('deleteMessage', error, { chatId, type: 'setup_secret' });
+    });
+  }
+
+  let fields;
+  try {
+    if (!text) {
+      throw new Error('Please answer with a text message.');
     }
+    fields = step.parse(text);
+  } catch (error) {
+    sendToUser(chatId, `❌ ${error.message}\n\n${step.prompt}`, 'setup_step');
+    return;
+  }
+
+  session.config = { ...session.config, ...fields };
+  session.step++;
+  if (session.step < SETUP_STEPS.length) {
+    sendToUser(chatId, `${session.step + 1}/${SETUP_STEPS.length}: ${SETUP_STEPS[session.step].prompt}`, 'setup_step');
+    return;
+  }
+
+  setupSessions.delete(userId);
+  try {
+    userStore.set(userId, session.config);
+  } catch (error) {
+    logger.error('Failed to save user config', error, { userId, file: USERS_FILE });
+    sendToUser(chatId, `❌ Failed to save your setup: ${error.message}`, 'setup_saved');
+    return;
+  }
+
+  logger.info('User setup saved', {
+    userId,
+    chatId,
+    mapping: session.config.accountMap ? 'account_map' : 'asset_id',
   });
-});
+  bot.sendMessage(chatId, '✅ Setup saved. Click the button to start your first sync:', {
+    reply_markup: { inline_keyboard: SYNC_BUTTONS },
+  }).catch((error) => {
+    logger.telegram.error('sendMessage', error, { chatId, type: 'setup_saved' });
+  });
+}
+
+function handleSetupCancel(chatId, userId) {
+  const reply = setupSessions.delete(userId)
+    ? '⏹️ Setup cancelled, nothing was saved.'
+    : 'Nothing to cancel. Use the Cancel button to stop a running sync.';
+  sendToUser(chatId, reply, 'setup_cancel');
+}
+
+function recordSyncMetrics(trigger, startedAt, outcome) {
+  const cancelled = !!outcome.result?.cancelled;
+  metrics.syncRuns.inc({ trigger, outcome: outcome.success ? 'success' : cancelled ? 'cancelled' : 'failed' });
+  metrics.syncDuration.observe((Date.now() - startedAt.getTime()) / 1000, { trigger });
+}
+
+// --- Sync history ---
+
+// Runs listed by /history unless a count is given
+const HISTORY_ROWS = 10;
+
+// Latest run and latest successful import of any user, for the status endpoint
+let lastRun = null;
+let lastImport = null;
+
+function trackLastRun(entry) {
+  lastRun = entry;
+  if (entry.success && !entry.dryRun) {
+    lastImport = entry;
+  }
+}
+
+function historyFile(userId) {
+  return path.join(userDataDir(userId), 'history.jsonl');
+}
+
+function recordHistory(userId, entry) {
+  trackLastRun(entry);
+  try {
+    appendHistory(historyFile(userId), entry);
+  } catch (error) {
+    logger.error('Failed to write sync history', error, { file: historyFile(userId) });
+  }
+}
+
+function formatHistoryStatus(entry) {
+  if (entry.cancelled) {
+    return '🛑';
+  }
+  if (!entry.success) {
+    return '❌';
+  }
+  return entry.warning ? '⚠️' : '✅';
+}
+
+function formatHistoryLine(entry) {
+  const started = formatDateTime(new Date(entry.startedAt));
+  const kind = entry.dryRun ? `${entry.trigger}, preview` : entry.trigger;
+  const summary = entry.success
+    ? `${entry.transactionsCount} fetched, ${entry.insertedCount} inserted, ${entry.skippedCount} skipped`
+    : entry.cancelled ? 'cancelled' : `failed at ${entry.step || 'unknown'}`;
+  return `${formatHistoryStatus(entry)} ${started} (${kind}) ${summary}`;
+}
+
+function formatHistoryDetails(entry) {
+  const started = new Date(entry.startedAt);
+  const seconds = Math.round((new Date(entry.finishedAt) - started) / 1000);
+  const lines = [
+    `${formatHistoryStatus(entry)} Last sync: ${formatDateTime(started)} (${seconds}s, ${entry.trigger}${entry.dryRun ? ', preview' : ''})`,
+  ];
+  if (entry.fromDate) {
+    lines.push(`📅 Period: ${entry.fromDate} to ${entry.untilDate}${entry.syncMode ? ` (${entry.syncMode})` : ''}`);
+  }
+  if (entry.accounts.length > 0) {
+    lines.push(`🏦 Accounts: ${entry.accounts.join(', ')}`);
+  }
+  if (entry.success) {
+    lines.push(`📊 Transactions found: ${entry.transactionsCount}`);
+    lines.push(`📥 Inserted: ${entry.insertedCount}`);
+    lines.push(`⏭️ Skipped (duplicates): ${entry.skippedCount}`);
+  } else if (entry.cancelled) {
+    lines.push('🛑 Cancelled');
+  } else {
+    lines.push(`❌ Error: ${entry.error || 'unknown'}`);
+    lines.push(`Step: ${entry.step || 'unknown'}`);
+  }
+  if (entry.warning) {
+    lines.push(`⚠️ ${entry.warning}`);
+  }
+  return lines.join('\n');
+}
+
+function formatStats(entries) {
+  const weeks = weeklyStats(entries);
+  const lines = weeks.map((week) => {
+    const label = formatDateTime(week.weekStart).split(' ')[0];
+    if (week.runs === 0) {
+      return `${label}: no syncs`;
+    }
+    const failed = week.failed > 0 ? `, ${week.failed} failed` : '';
+    return `${label}: ${week.runs} syncs${failed}, ${week.inserted} inserted, ${week.skipped} skipped`;
+  });
+  return `📈 Weekly syncs (week starting):\n\n${lines.join('\n')}`;
+}
+
+/**
+ * /history [count], /last and /stats
+ */
+function handleHistoryCommand(chatId, userId, command, args) {
+  let entries;
+  try {
+    entries = readHistory(historyFile(userId));
+  } catch (error) {
+    logger.error('Failed to read sync history', error, { file: historyFile(userId) });
+    sendToUser(chatId, `❌ Failed to read sync history: ${error.message}`, 'history_command');
+    return;
+  }
+
+  let reply;
+  if (entries.length === 0) {
+    reply = '📜 No syncs recorded yet.';
+  } else if (command === '/last') {
+    reply = formatHistoryDetails(entries[entries.length - 1]);
+  } else if (command === '/stats') {
+    reply = formatStats(entries);
+  } else {
+    const count = parseInt(args[0], 10) > 0 ? parseInt(args[0], 10) : HISTORY_ROWS;
+    const lines = entries.slice(-count).reverse().map(formatHistoryLine);
+    reply = `📜 Last ${lines.length} syncs:\n\n${lines.join('\n')}`;
+  }
+
+  reply = fitMessage(reply);
+  logger.info('History command handled', { chatId, command, entries: entries.length });
+  sendToUser(chatId, reply, 'history_command');
+}
+
+/**
+ * Stop the user's running sync; its exit handler reports the result and the
+ * next queued sync (if any) starts afterwards
+ */
+async function handleCancel(query) {
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  const userId = query.from.id.toString();
+  const activeSync = activeSyncs.get(userId);
+
+  if (!activeSync) {
+    await bot.answerCallbackQuery(query.id, { text: 'No sync is running.' }).catch((error) => {
+      logger.telegram.error('answerCallbackQuery', error, { queryId: query.id, type: 'cancel_idle' });
+    });
+    return;
+  }
+
+  logger.info('Cancelling sync', { userId, chatId, messageId, pid: activeSync.pid });
+  activeSync.cancel();
+  pendingAccountChoices.delete(userId);
+
+  await bot.answerCallbackQuery(query.id, { text: 'Cancelling...' }).catch((error) => {
+    logger.telegram.error('answerCallbackQuery', error, { queryId: query.id, type: 'cancel' });
+  });
+  await bot.editMessageText('🛑 Cancelling sync...', {
+    chat_id: chatId,
+    message_id: messageId,
+  }).catch((error) => {
+    logger.telegram.error('editMessageText', error, { chatId, messageId, type: 'cancel' });
+  });
+}
+
+// --- Account picker ---
+
+function formatAccountButton(account) {
+  const parts = [account.accountName];
+  if (account.balance !== 'N/A') {
+    parts.push(`balance ${account.balance}`);
+  }
+  if (account.latestTransaction) {
+    const { date, description, amount } = account.latestTransaction;
+    parts.push(`last: ${date} ${(description || '').substring(0, 20)} ${amount}`);
+  }
+  return parts.join(' · ');
+}
+
+function formatAccountChoice(accounts) {
+  const lines = accounts.map((account) => `• ${account.accountNumber} - ${formatAccountButton(account)}`);
+  return `🏦 Found ${accounts.length} ICS accounts. Which one should be synced?\n\n${lines.join('\n')}\n\n` +
+    'The choice is remembered; use /account to pick again later.';
+}
+
+/**
+ * Hand the picked account to the sync script waiting for it
+ */
+async function handleAccountChoice(query, accountNumber) {
+  const answer = (text) => bot.answerCallbackQuery(query.id, { text }).catch((error) => {
+    logger.telegram.error('answerCallbackQuery', error, { queryId: query.id, type: 'account_choice' });
+  });
+
+  const userId = query.from.id.toString();
+  const pendingAccountChoice = pendingAccountChoices.get(userId);
+  if (!pendingAccountChoice) {
+    await answer('This account choice has expired, start a new sync.');
+    return;
+  }
+
+  logger.info('Account chosen for sync', { accountNumber, userId, chatId: query.message.chat.id });
+  pendingAccountChoice(accountNumber);
+  pendingAccountChoices.delete(userId);
+  await answer(`Syncing ${accountNumber}`);
+  await bot.editMessageText(`✅ Account ${accountNumber} selected, continuing sync...`, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+  }).catch((error) => {
+    logger.telegram.error('editMessageText', error, { type: 'account_chosen' });
+  });
+}
+
+/**
+ * /account: forget the remembered account so the next sync asks again
+ */
+function handleAccountCommand(chatId, userId) {
+  // Written by the sync script when an account is picked from the inline keyboard
+  const accountChoiceFile = path.join(userDataDir(userId), 'account-choice.json');
+  let reply;
+  try {
+    fs.unlinkSync(accountChoiceFile);
+    reply = '🏦 Account choice cleared. The next sync will ask which account to use.';
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to clear account choice', error, { file: accountChoiceFile });
+    }
+    reply = error.code === 'ENOENT'
+      ? '🏦 No account choice saved. If ICS has several accounts, the next sync will ask which one to use.'
+      : `❌ Failed to clear account choice: ${error.message}`;
+  }
+  sendToUser(chatId, reply, 'account_command');
+}
+
+// --- Ad-hoc date ranges ---
+
+/**
+ * /sync: without arguments offer period presets, otherwise validate the range
+ * and start a sync for it right away
+ */
+async function handleSyncCommand(chatId, userId, args) {
+  if (args.length === 0) {
+    logger.telegram.request('sendMessage', { chat_id: chatId, text: 'Choose a period to sync:' });
+    bot.sendMessage(chatId, `Choose a period to sync:\n\n${SYNC_USAGE}`, {
+      reply_markup: { inline_keyboard: RANGE_BUTTONS },
+    }).catch((error) => {
+      logger.telegram.error('sendMessage', error, { chatId, type: 'range_buttons' });
+    });
+    return;
+  }
+
+  let range;
+  try {
+    range = parseSyncRange(args);
+  } catch (error) {
+    logger.info('Invalid sync range rejected', { chatId, args: args.join(' '), error: error.message });
+    sendToUser(chatId, `❌ ${error.message}\n\n${SYNC_USAGE}`, 'sync_command');
+    return;
+  }
+
+  if (!canSync(userId)) {
+    sendToUser(chatId, '👋 Run /setup to connect your ICS and Lunch Money accounts first.', 'setup_needed');
+    return;
+  }
+
+  const startText = `Processing ${range.fromDate} to ${range.untilDate}...`;
+  const message = await sendToUser(chatId, startText, 'sync_command');
+  if (!message) {
+    return;
+  }
+
+  await queueSync({
+    chatId,
+    messageId: message.message_id,
+    userId,
+    trigger: 'command',
+    range,
+  }, startText).done;
+}
+
+// --- Scheduled syncs ---
+
+// Active schedule: SYNC_SCHEDULE env var, overridden by /schedule (persisted in DATA_DIR)
+let activeCron = null;
+let scheduleState = {};
+let scheduleTimer = null;
+
+// setTimeout can't wait longer than ~24.8 days; longer delays are re-armed
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+function formatDateTime(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function persistSchedule(changes) {
+  scheduleState = { ...scheduleState, ...changes };
+  try {
+    writeScheduleState(SCHEDULE_FILE, scheduleState);
+  } catch (error) {
+    logger.error('Failed to save schedule state', error, { file: SCHEDULE_FILE });
+  }
+}
+
+function sendToUser(chatId, text, type) {
+  logger.telegram.request('sendMessage', { chat_id: chatId, text });
+  return bot.sendMessage(chatId, text).catch((error) => {
+    logger.telegram.error('sendMessage', error, { chatId, type });
+    return null;
+  });
+}
+
+function armSchedule() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+
+  if (!activeCron) {
+    return;
+  }
+
+  const nextRun = getNextRun(activeCron);
+  if (!nextRun) {
+    logger.warn('Sync schedule never matches, nothing scheduled', { schedule: activeCron.expression });
+    return;
+  }
+
+  const arm = () => {
+    const delay = nextRun.getTime() - Date.now();
+    if (delay > MAX_TIMER_DELAY) {
+      scheduleTimer = setTimeout(arm, MAX_TIMER_DELAY);
+      return;
+    }
+    scheduleTimer = setTimeout(() => runScheduledSync(nextRun), Math.max(delay, 0));
+  };
+  arm();
+
+  logger.info('Next scheduled sync armed', {
+    schedule: activeCron.expression,
+    nextRun: nextRun.toISOString(),
+  });
+}
+
+async function runScheduledSync(scheduledFor) {
+  const scheduledLabel = formatDateTime(scheduledFor);
+
+  // Arm the next run before syncing so an overlapping run is reported as missed
+  persistSchedule({ lastScheduledAt: scheduledFor.toISOString() });
+  armSchedule();
+
+  if (syncQueue.isBusy(USER_ID)) {
+    logger.warn('Scheduled sync missed, another sync is in progress', {
+      scheduledFor: scheduledFor.toISOString(),
+    });
+    await sendToUser(USER_ID, `⏭️ Scheduled sync for ${scheduledLabel} was missed: another sync was still running.`, 'schedule_missed');
+    return;
+  }
+
+  const message = await sendToUser(
+    USER_ID,
+    '⏰ Scheduled sync starting...\n\nPlease approve the 2FA request on your phone when it arrives.',
+    'schedule_start'
+  );
+  if (!message) {
+    logger.warn('Scheduled sync missed, could not reach Telegram', {
+      scheduledFor: scheduledFor.toISOString(),
+    });
+    return;
+  }
+
+  const { done } = queueSync({
+    chatId: USER_ID,
+    messageId: message.message_id,
+    userId: USER_ID,
+    trigger: 'schedule',
+  }, message.text);
+  const outcome = await done;
+
+  if (!outcome.success) {
+    const reasons = {
+      '2fa_timeout': '2FA was not approved in time',
+      cancelled: 'it was cancelled',
+    };
+    const reason = reasons[outcome.step] || outcome.error || 'unknown error';
+    logger.warn('Scheduled sync missed', {
+      scheduledFor: scheduledFor.toISOString(),
+      step: outcome.step,
+      reason,
+    });
+    await sendToUser(USER_ID, `⚠️ Scheduled sync for ${scheduledLabel} was missed: ${reason}.`, 'schedule_missed');
+  }
+}
+
+function handleScheduleCommand(chatId, args) {
+  let reply;
+
+  if (args.length === 0) {
+    const nextRun = activeCron && getNextRun(activeCron);
+    reply = activeCron
+      ? `⏰ Sync schedule: ${activeCron.expression}\nNext run: ${nextRun ? formatDateTime(nextRun) : 'never'}`
+      : '⏰ No sync schedule set.\n\nUsage: /schedule <minute> <hour> <day> <month> <weekday>\nExample: /schedule 0 7 * * *\nDisable with /schedule off';
+  } else if (args.length === 1 && args[0] === 'off') {
+    activeCron = null;
+    persistSchedule({ expression: null });
+    armSchedule();
+    reply = '⏹️ Scheduled syncs disabled.';
+  } else {
+    try {
+      activeCron = parseCron(args.join(' '));
+      persistSchedule({ expression: activeCron.expression, lastScheduledAt: new Date().toISOString() });
+      armSchedule();
+      const nextRun = getNextRun(activeCron);
+      reply = `✅ Sync schedule set: ${activeCron.expression}\nNext run: ${nextRun ? formatDateTime(nextRun) : 'never'}`;
+    } catch (error) {
+      reply = `❌ ${error.message}`;
+    }
+  }
+
+  logger.info('Schedule command handled', {
+    chatId,
+    args: args.join(' '),
+    schedule: activeCron?.expression || 'off',
+  });
+  sendToUser(chatId, reply, 'schedule_command');
+}
+
+function initSchedule() {
+  try {
+    scheduleState = readScheduleState(SCHEDULE_FILE) || {};
+  } catch (error) {
+    logger.error('Failed to read schedule state', error, { file: SCHEDULE_FILE });
+  }
+
+  // A schedule set via /schedule (including "off") overrides SYNC_SCHEDULE
+  const expression = 'expression' in scheduleState
+    ? scheduleState.expression
+    : process.env.SYNC_SCHEDULE;
+  if (!expression) {
+    return;
+  }
+
+  try {
+    activeCron = parseCron(expression);
+  } catch (error) {
+    logger.error('Invalid sync schedule, scheduled syncs disabled', error, { schedule: expression });
+    return;
+  }
+
+  // Report a run that should have happened while the bot was down
+  if (scheduleState.lastScheduledAt) {
+    const missedRun = getNextRun(activeCron, new Date(scheduleState.lastScheduledAt));
+    if (missedRun && missedRun.getTime() < Date.now()) {
+      logger.warn('Scheduled sync missed while bot was offline', { scheduledFor: missedRun.toISOString() });
+      sendToUser(USER_ID, `⚠️ Scheduled sync for ${formatDateTime(missedRun)} was missed: the bot was offline.`, 'schedule_missed');
+    }
+  }
+  persistSchedule({ lastScheduledAt: new Date().toISOString() });
+
+  armSchedule();
+}
+
+initSchedule();
+
+// Seed the status endpoint with the owner's history from before this start
+try {
+  readHistory(historyFile(USER_ID)).forEach(trackLastRun);
+} catch (error) {
+  logger.error('Failed to read sync history', error, { file: historyFile(USER_ID) });
+}
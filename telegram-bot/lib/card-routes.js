@@ -0,0 +1,77 @@
+/**
+ * Per-card routing rules: send transactions of a specific card or cardholder
+ * to their own Lunch Money manual account and/or add extra tags.
+ *
+ * Rules live in a JSON array (see config/card-routes.example.json); the first
+ * matching rule wins. A rule matches on any combination of `accountNumber`,
+ * `lastFourDigits`, `embossingName` and `indicatorExtraCard`, and applies
+ * `assetId` and/or `tags`.
+ */
+
+import fs from 'fs';
+
+const MATCH_FIELDS = ['accountNumber', 'lastFourDigits', 'embossingName', 'indicatorExtraCard'];
+
+function normalize(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+function validateRoute(route, index) {
+  const label = `Card route #${index + 1}`;
+
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!MATCH_FIELDS.some((field) => route[field] !== undefined)) {
+    throw new Error(`${label} needs at least one of: ${MATCH_FIELDS.join(', ')}`);
+  }
+  if (route.assetId === undefined && route.tags === undefined) {
+    throw new Error(`${label} needs an assetId and/or tags`);
+  }
+  if (route.assetId !== undefined && !Number.isInteger(route.assetId)) {
+    throw new Error(`${label}: assetId must be a number`);
+  }
+  if (route.tags !== undefined &&
+    (!Array.isArray(route.tags) || route.tags.some((tag) => typeof tag !== 'string' || !tag.trim()))) {
+    throw new Error(`${label}: tags must be an array of tag names`);
+  }
+
+  return { ...route, tags: route.tags || [] };
+}
+
+/**
+ * Load and validate routing rules from a JSON file
+ */
+export function loadCardRoutes(filePath) {
+  let routes;
+  try {
+    routes = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read card routes from ${filePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(routes)) {
+    throw new Error(`Card routes file ${filePath} must contain a JSON array`);
+  }
+
+  return routes.map(validateRoute);
+}
+
+/**
+ * First rule matching an ICS transaction of the given account, or null
+ */
+export function findCardRoute(routes, transaction, accountNumber) {
+  const values = { ...transaction, accountNumber };
+  return routes.find((route) =>
+    MATCH_FIELDS.every((field) =>
+      route[field] === undefined || normalize(route[field]) === normalize(values[field])
+    )
+  ) || null;
+}
+
+/**
+ * All distinct tag names used by the rules
+ */
+export function getRouteTagNames(routes) {
+  return [...new Set(routes.flatMap((route) => route.tags))];
+}
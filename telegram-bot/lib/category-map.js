@@ -0,0 +1,64 @@
+/**
+ * Merchant category mapping: assign a Lunch Money category based on the
+ * merchant category ICS reports for a transaction.
+ *
+ * The mapping lives in a JSON object (see config/category-map.example.json)
+ * whose keys are either an MCC description as shown by ICS
+ * (`merchantCategoryCodeDescription`, matched case-insensitively) or a numeric
+ * MCC (`merchantCategoryCode`), and whose values are Lunch Money category names.
+ */
+
+import fs from 'fs';
+
+function normalize(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+/**
+ * Load and validate the mapping from a JSON file into a Map keyed by
+ * normalized MCC description or code
+ */
+export function loadCategoryMap(filePath) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read category map from ${filePath}: ${error.message}`);
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`Category map file ${filePath} must contain a JSON object`);
+  }
+
+  const categoryMap = new Map();
+  for (const [key, categoryName] of Object.entries(mapping)) {
+    if (typeof categoryName !== 'string' || !categoryName.trim()) {
+      throw new Error(`Category map entry "${key}" must be a category name`);
+    }
+    categoryMap.set(normalize(key), categoryName.trim());
+  }
+  return categoryMap;
+}
+
+/**
+ * Category name for an ICS transaction, or null when its merchant category isn't mapped.
+ * A numeric MCC entry wins over a description entry.
+ */
+export function findCategoryName(categoryMap, transaction) {
+  const code = normalize(transaction.merchantCategoryCode);
+  if (code && categoryMap.has(code)) {
+    return categoryMap.get(code);
+  }
+  const description = normalize(transaction.merchantCategoryCodeDescription);
+  if (description && categoryMap.has(description)) {
+    return categoryMap.get(description);
+  }
+  return null;
+}
+
+/**
+ * All distinct category names used by the mapping
+ */
+export function getCategoryNames(categoryMap) {
+  return [...new Set(categoryMap.values())];
+}
@@ -0,0 +1,83 @@
+/**
+ * Encrypted files on disk (AES-256-GCM, key derived from a secret with scrypt)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const FORMAT_VERSION = 1;
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * Encrypt `buffer` and write it to `filePath` (readable by the owner only)
+ */
+export function writeEncryptedBuffer(filePath, buffer, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  const payload = {
+    v: FORMAT_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64'),
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(payload), { mode: 0o600 });
+}
+
+/**
+ * Read and decrypt a file written by writeEncryptedBuffer.
+ * Returns null if the file does not exist; throws if it can't be decrypted.
+ */
+export function readEncryptedBuffer(filePath, secret) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const payload = JSON.parse(raw);
+  if (payload.v !== FORMAT_VERSION) {
+    throw new Error(`Unsupported encrypted store version: ${payload.v}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(secret, Buffer.from(payload.salt, 'base64')),
+    Buffer.from(payload.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.data, 'base64')),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Encrypt `data` as JSON and write it to `filePath` (readable by the owner only)
+ */
+export function writeEncryptedJson(filePath, data, secret) {
+  writeEncryptedBuffer(filePath, Buffer.from(JSON.stringify(data), 'utf8'), secret);
+}
+
+/**
+ * Read and decrypt a file written by writeEncryptedJson.
+ * Returns null if the file does not exist; throws if it can't be decrypted.
+ */
+export function readEncryptedJson(filePath, secret) {
+  const decrypted = readEncryptedBuffer(filePath, secret);
+  return decrypted && JSON.parse(decrypted.toString('utf8'));
+}
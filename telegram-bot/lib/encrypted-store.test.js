@@ -0,0 +1,49 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readEncryptedJson, writeEncryptedJson } from './encrypted-store.js';
+
+describe('encrypted store', () => {
+  let dir;
+  let filePath;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encrypted-store-'));
+    filePath = path.join(dir, 'nested', 'users.enc');
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads back what was written, without the plain text on disk', () => {
+    writeEncryptedJson(filePath, { token: 'plain-value' }, 'secret');
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('plain-value');
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    expect(readEncryptedJson(filePath, 'secret')).toEqual({ token: 'plain-value' });
+  });
+
+  test('returns null for a missing file', () => {
+    expect(readEncryptedJson(filePath, 'secret')).toBeNull();
+  });
+
+  test('throws with the wrong key', () => {
+    writeEncryptedJson(filePath, { token: 'plain-value' }, 'secret');
+    expect(() => readEncryptedJson(filePath, 'other-secret')).toThrow();
+  });
+
+  test('throws when the file was changed', () => {
+    writeEncryptedJson(filePath, { token: 'plain-value' }, 'secret');
+    const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const data = Buffer.from(payload.data, 'base64');
+    data[0] ^= 1;
+    fs.writeFileSync(filePath, JSON.stringify({ ...payload, data: data.toString('base64') }));
+    expect(() => readEncryptedJson(filePath, 'secret')).toThrow();
+  });
+
+  test('throws for an unknown format version', () => {
+    writeEncryptedJson(filePath, {}, 'secret');
+    const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    fs.writeFileSync(filePath, JSON.stringify({ ...payload, v: 2 }));
+    expect(() => readEncryptedJson(filePath, 'secret')).toThrow('Unsupported encrypted store version: 2');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Bot status for the HTTP server: Telegram connectivity, running syncs and the
+ * last sync results. `ready` is false (and `problems` says why) when updates
+ * aren't arriving or syncs have stopped succeeding, so /readyz can alert on it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysSince(isoDate, now) {
+  return isoDate ? Math.floor((now - new Date(isoDate)) / DAY_MS) : null;
+}
+
+/**
+ * Summary of a history entry (see history.js) for the status output. The
+ * endpoints need no authentication, so the error text (which can contain ICS or
+ * Lunch Money responses) is left out; `step` says where a run failed.
+ */
+export function summarizeRun(entry) {
+  if (!entry) {
+    return null;
+  }
+  return {
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    trigger: entry.trigger,
+    dryRun: entry.dryRun,
+    success: entry.success,
+    insertedCount: entry.insertedCount,
+    step: entry.step,
+  };
+}
+
+/**
+ * @param telegram   { consecutiveErrors, maxErrors, webhookRegistered, lastUpdateAt }
+ * @param sync       { running, queued, lastRun, lastImport } - sync counts (see
+ *                   sync-queue.js) and runs as history entries
+ * @param maxSyncAgeDays  not ready when the last successful import is older (null = no limit)
+ */
+export function buildHealthStatus({ now = new Date(), mode, startedAt, telegram, sync, maxSyncAgeDays = null }) {
+  const problems = [];
+
+  if (mode === 'polling' && telegram.consecutiveErrors > 0) {
+    problems.push(`${telegram.consecutiveErrors} consecutive polling errors`);
+  }
+  if (mode === 'webhook' && !telegram.webhookRegistered) {
+    problems.push('webhook not registered');
+  }
+
+  const daysSinceImport = daysSince(sync.lastImport?.finishedAt, now);
+  if (maxSyncAgeDays !== null) {
+    if (daysSinceImport === null) {
+      problems.push('no successful import recorded');
+    } else if (daysSinceImport > maxSyncAgeDays) {
+      problems.push(`last successful import ${daysSinceImport} days ago`);
+    }
+  }
+
+  return {
+    status: problems.length === 0 ? 'ok' : 'degraded',
+    ready: problems.length === 0,
+    problems,
+    mode,
+    uptimeSeconds: Math.round((now - startedAt) / 1000),
+    telegram,
+    sync: {
+      running: sync.running > 0,
+      runningCount: sync.running,
+      queuedCount: sync.queued,
+      lastRun: summarizeRun(sync.lastRun),
+      lastSuccessfulImportAt: sync.lastImport?.finishedAt || null,
+      daysSinceLastSuccessfulImport: daysSinceImport,
+    },
+  };
+}
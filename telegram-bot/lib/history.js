@@ -0,0 +1,119 @@
+/**
+ * Sync history: one JSON line per finished run in DATA_DIR/history.jsonl,
+ * built from the result object the sync script reports.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Older runs are dropped once the file holds more than this
+const MAX_ENTRIES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * History entry for a finished run
+ *
+ * @param outcome { success, result, error, step } as resolved by runSync
+ */
+export function buildHistoryEntry({ startedAt, finishedAt, trigger, dryRun, outcome }) {
+  const result = outcome.result || {};
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    trigger,
+    dryRun: !!dryRun,
+    success: outcome.success,
+    cancelled: !!result.cancelled,
+    fromDate: result.fromDate || null,
+    untilDate: result.untilDate || null,
+    syncMode: result.syncMode || null,
+    accounts: (result.accounts || []).map((account) => account.accountNumber),
+    transactionsCount: result.transactionsCount ?? 0,
+    insertedCount: result.insertedCount ?? 0,
+    skippedCount: result.skippedCount ?? 0,
+    warning: result.warning || null,
+    error: outcome.success ? null : outcome.error,
+    step: outcome.success ? null : outcome.step,
+  };
+}
+
+/**
+ * All recorded runs, oldest first (unreadable lines are skipped)
+ */
+export function readHistory(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Partially written line (e.g. container stopped mid-write)
+    }
+  }
+  return entries;
+}
+
+export function appendHistory(filePath, entry) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+
+  const entries = readHistory(filePath);
+  if (entries.length > MAX_ENTRIES) {
+    const kept = entries.slice(-MAX_ENTRIES);
+    fs.writeFileSync(filePath, kept.map((e) => JSON.stringify(e)).join('\n') + '\n');
+  }
+}
+
+function weekStart(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  // Weeks start on Monday
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Per-week totals for the last `weeks` weeks (including the current one), oldest first.
+ * Previews are left out since they don't write anything.
+ */
+export function weeklyStats(entries, { weeks = 8, now = new Date() } = {}) {
+  const currentWeek = weekStart(now);
+  const buckets = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const start = new Date(currentWeek);
+    start.setDate(start.getDate() - i * 7);
+    buckets.push({ weekStart: start, runs: 0, failed: 0, inserted: 0, skipped: 0 });
+  }
+
+  for (const entry of entries) {
+    if (entry.dryRun) {
+      continue;
+    }
+    const started = new Date(entry.startedAt);
+    const index = Math.round((weekStart(started) - buckets[0].weekStart) / (7 * DAY_MS));
+    const bucket = buckets[index];
+    if (!bucket) {
+      continue;
+    }
+    bucket.runs++;
+    if (!entry.success) {
+      bucket.failed++;
+    }
+    bucket.inserted += entry.insertedCount || 0;
+    bucket.skipped += entry.skippedCount || 0;
+  }
+
+  return buckets;
+}
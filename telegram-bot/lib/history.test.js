@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { appendHistory, buildHistoryEntry, readHistory, weeklyStats } from './history.js';
+
+// Wednesday
+const NOW = new Date(2026, 2, 18, 12, 0);
+
+function run(startedAt, overrides = {}) {
+  return { startedAt: startedAt.toISOString(), dryRun: false, success: true, insertedCount: 1, skippedCount: 0, ...overrides };
+}
+
+describe('weeklyStats', () => {
+  test('has one bucket per week starting on Monday, oldest first', () => {
+    const buckets = weeklyStats([], { weeks: 3, now: NOW });
+    expect(buckets.map((b) => b.weekStart)).toEqual([
+      new Date(2026, 2, 2),
+      new Date(2026, 2, 9),
+      new Date(2026, 2, 16),
+    ]);
+    expect(buckets.every((b) => b.runs === 0 && b.inserted === 0)).toBe(true);
+  });
+
+  test('puts runs in the week they started in', () => {
+    const buckets = weeklyStats([
+      // Sunday night belongs to the previous week, Monday morning to the current one
+      run(new Date(2026, 2, 15, 23, 59), { insertedCount: 2 }),
+      run(new Date(2026, 2, 16, 0, 0), { insertedCount: 3, skippedCount: 4 }),
+      run(new Date(2026, 2, 18, 8, 0), { success: false, insertedCount: 0 }),
+    ], { weeks: 2, now: NOW });
+
+    expect(buckets[0]).toMatchObject({ runs: 1, failed: 0, inserted: 2, skipped: 0 });
+    expect(buckets[1]).toMatchObject({ runs: 2, failed: 1, inserted: 3, skipped: 4 });
+  });
+
+  test('leaves out previews and runs outside the weeks shown', () => {
+    const buckets = weeklyStats([
+      run(new Date(2026, 2, 17), { dryRun: true }),
+      run(new Date(2026, 1, 1)),
+      run(new Date(2026, 2, 25)),
+    ], { weeks: 2, now: NOW });
+    expect(buckets.map((b) => b.runs)).toEqual([0, 0]);
+  });
+
+  test('keeps empty weeks between busy ones', () => {
+    const buckets = weeklyStats([run(new Date(2026, 2, 3)), run(new Date(2026, 2, 17))], { weeks: 3, now: NOW });
+    expect(buckets.map((b) => b.runs)).toEqual([1, 0, 1]);
+  });
+});
+
+describe('buildHistoryEntry', () => {
+  test('records the error only for failed runs', () => {
+    const times = { startedAt: NOW, finishedAt: NOW, trigger: 'button', dryRun: false };
+    const failed = buildHistoryEntry({ ...times, outcome: { success: false, error: 'boom', step: 'login' } });
+    expect(failed).toMatchObject({ success: false, error: 'boom', step: 'login', insertedCount: 0, accounts: [] });
+
+    const succeeded = buildHistoryEntry({
+      ...times,
+      outcome: { success: true, error: null, result: { insertedCount: 5, accounts: [{ accountNumber: '123' }] } },
+    });
+    expect(succeeded).toMatchObject({ success: true, error: null, insertedCount: 5, accounts: ['123'] });
+  });
+});
+
+describe('history file', () => {
+  let filePath;
+  beforeEach(() => {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'history.jsonl');
+  });
+  afterEach(() => {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  test('is empty when missing and skips broken lines', () => {
+    expect(readHistory(filePath)).toEqual([]);
+    fs.writeFileSync(filePath, '{"trigger":"button"}\n{"trigger":\n');
+    expect(readHistory(filePath)).toEqual([{ trigger: 'button' }]);
+  });
+
+  test('keeps only the latest 1000 runs', () => {
+    fs.writeFileSync(filePath, Array.from({ length: 1000 }, (_, i) => JSON.stringify({ n: i })).join('\n') + '\n');
+    appendHistory(filePath, { n: 1000 });
+    const entries = readHistory(filePath);
+    expect(entries).toHaveLength(1000);
+    expect(entries[0]).toEqual({ n: 1 });
+    expect(entries.at(-1)).toEqual({ n: 1000 });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Built-in HTTP server:
+ * - GET /healthz - bot status, always 200 while the bot runs (Docker HEALTHCHECK)
+ * - GET /readyz  - the same status, 503 unless it's ready (uptime monitors)
+ * - GET /metrics - Prometheus metrics, with `Authorization: Bearer <metricsToken>`
+ *   when a token is set, otherwise only for clients on the same host
+ * - in webhook mode, the endpoint Telegram posts updates to. Webhook requests must
+ *   carry the secret token registered with setWebHook in the
+ *   X-Telegram-Bot-Api-Secret-Token header.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+// Telegram updates are a few KB; anything much larger isn't from Telegram
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function isValidSecret(header, secretToken) {
+  if (typeof header !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(secretToken);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function canReadMetrics(req, metricsToken) {
+  if (!metricsToken) {
+    return isLoopback(req.socket.remoteAddress);
+  }
+  const header = req.headers.authorization;
+  return typeof header === 'string' && header.startsWith('Bearer ') &&
+    isValidSecret(header.slice('Bearer '.length), metricsToken);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param status   () => status object with a boolean `ready` (see health.js)
+ * @param metrics  () => metrics in the Prometheus text format (see metrics.js)
+ * @param metricsToken  bearer token required for /metrics (null = loopback clients only)
+ * @param webhook  { path, secretToken, onUpdate(update) } - omit in polling mode
+ * @param onError  (error, context) for rejected or unreadable webhook requests
+ */
+export function createHttpServer({ status, metrics, metricsToken = null, webhook = null, onError = () => {} }) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/healthz') {
+      sendJson(res, 200, status());
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/readyz') {
+      const current = status();
+      sendJson(res, current.ready ? 200 : 503, current);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/metrics') {
+      if (!canReadMetrics(req, metricsToken)) {
+        onError(new Error('Unauthorized metrics request'), { remoteAddress: req.socket.remoteAddress });
+        sendJson(res, 401, { error: 'unauthorized' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(metrics());
+      return;
+    }
+
+    if (!webhook || pathname !== webhook.path) {
+      sendJson(res, 404, { error: 'not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'method not allowed' });
+      return;
+    }
+    if (!isValidSecret(req.headers['x-telegram-bot-api-secret-token'], webhook.secretToken)) {
+      onError(new Error('Invalid webhook secret token'), { remoteAddress: req.socket.remoteAddress });
+      sendJson(res, 401, { error: 'unauthorized' });
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await readBody(req));
+    } catch (error) {
+      onError(error, { remoteAddress: req.socket.remoteAddress });
+      sendJson(res, error.status || 400, { error: error.status ? error.message : 'invalid JSON' });
+      return;
+    }
+
+    // Answer right away; Telegram retries updates that aren't acknowledged in time
+    sendJson(res, 200, { ok: true });
+    webhook.onUpdate(update);
+  });
+}
@@ -0,0 +1,603 @@
+/**
+ * ICS (icscards.nl) client driving a Puppeteer browser: login with 2FA, a saved
+ * session (cookies + XSRF token, encrypted), accounts and transactions. API
+ * calls run inside the logged-in page so its cookies are sent.
+ */
+
+import fs from 'fs';
+import puppeteer from 'puppeteer-core';
+import { readEncryptedJson, writeEncryptedJson } from './encrypted-store.js';
+
+export const ICS_BASE_URL = 'https://www.icscards.nl';
+
+const ACCOUNTS_PATH = '/api/nl/sec/frontendservices/allaccountsv2';
+const TRANSACTIONS_PATH = '/api/nl/sec/frontendservices/transactionsv3/search';
+const TWO_FA_TIMEOUT = 120000;
+
+/**
+ * Where the client reports what it does; the sync script passes its own
+ * logging (stderr + progress events)
+ *
+ * @typedef {object} Logger
+ * @property {(step: string, message: string, context?: object) => void} info
+ * @property {(step: string, message: string, error: Error|null, context?: object) => void} error
+ * @property {(step: string, message: string, context?: object) => void} debug
+ */
+
+/** @type {Logger} */
+const SILENT_LOGGER = { info() {}, error() {}, debug() {} };
+
+/**
+ * Account as returned by the allaccountsv2 endpoint (only the fields used here)
+ *
+ * @typedef {object} IcsAccount
+ * @property {string} accountNumber
+ * @property {string} [accountName]
+ * @property {string} [productName]
+ * @property {number|string} [balance]
+ */
+
+/**
+ * @typedef {object} SessionOptions
+ * @property {string} file                     encrypted session file
+ * @property {string} secret                   encryption secret (SESSION_SECRET or the ICS password)
+ */
+
+/**
+ * Default Chromium of the platform
+ */
+function defaultExecutablePath() {
+  return process.platform === 'darwin'
+    ? '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+    : '/usr/bin/chromium';
+}
+
+export class IcsClient {
+  /**
+   * @param {object} options
+   * @param {string} options.email
+   * @param {string} options.password
+   * @param {SessionOptions|null} [options.session]   null: always log in with 2FA
+   * @param {string} [options.executablePath]
+   * @param {boolean} [options.headless]
+   * @param {Logger} [options.logger]
+   * @param {(name: string, value: number, labels?: object) => void} [options.onMetric]
+   */
+  constructor({
+    email,
+    password,
+    session = null,
+    executablePath = defaultExecutablePath(),
+    headless = true,
+    logger = SILENT_LOGGER,
+    onMetric = () => {},
+  }) {
+    this.email = email;
+    this.password = password;
+    this.session = session;
+    this.executablePath = executablePath;
+    this.headless = headless;
+    this.logger = logger;
+    this.onMetric = onMetric;
+
+    this.browser = null;
+    this.page = null;
+    this.xsrfToken = null;
+    // Whether open() reused the saved session instead of logging in
+    this.sessionRestored = false;
+    this.closed = false;
+  }
+
+  /**
+   * Launch the browser and get a logged-in page: the saved session if it's
+   * still valid, otherwise login and 2FA (then the session is saved). Closes
+   * the browser when that fails.
+   */
+  async open() {
+    await this.launch();
+    try {
+      this.sessionRestored = await this.restoreSession();
+      if (!this.sessionRestored) {
+        await this.login();
+        await this.wait2FA();
+        // Wait for page to be fully loaded after 2FA
+        await this.page.waitForTimeout(1000);
+        await this.saveSession();
+      }
+      await this.extractCookies();
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+  }
+
+  async launch() {
+    const { logger } = this;
+    logger.info('browser_launch', 'Launching browser...', {
+      executablePath: this.executablePath,
+      headless: this.headless,
+    });
+
+    try {
+      this.browser = await puppeteer.launch({
+        executablePath: this.executablePath,
+        headless: this.headless,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+        ],
+      });
+      logger.info('browser_launch', 'Browser launched successfully', { headless: this.headless });
+    } catch (error) {
+      logger.error('browser_launch', 'Failed to launch browser', error, {
+        executablePath: this.executablePath,
+      });
+      throw error;
+    }
+
+    this.page = await this.browser.newPage();
+    logger.debug('sync_start', 'New page created');
+  }
+
+  /**
+   * Close the browser; makes pending page operations (e.g. a 2FA wait) fail.
+   * Failures are only logged.
+   */
+  async close() {
+    if (this.closed || !this.browser) {
+      this.closed = true;
+      return;
+    }
+    this.closed = true;
+    this.logger.debug('sync_cleanup', 'Closing browser');
+    try {
+      await this.browser.close();
+      this.logger.debug('sync_cleanup', 'Browser closed successfully');
+    } catch (error) {
+      this.logger.error('sync_cleanup', 'Failed to close browser', error);
+    }
+  }
+
+  /**
+   * Login flow: navigate to login page, fill form, submit
+   */
+  async login() {
+    const { logger, page } = this;
+    logger.info('page_load', 'Loading login page...', {
+      url: `${ICS_BASE_URL}/web/consumer/abnamro/sca-login`,
+    });
+
+    const loginUrl = `${ICS_BASE_URL}/web/consumer/abnamro/sca-login?URL=abnamro%2Fdashboard`;
+
+    try {
+      const response = await page.goto(loginUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+      logger.info('page_load', 'Login page loaded', {
+        status: response?.status(),
+        finalUrl: page.url(),
+      });
+    } catch (error) {
+      logger.error('page_load', 'Failed to load login page', error, {
+        url: loginUrl,
+        currentUrl: page.url(),
+      });
+      throw error;
+    }
+
+    // Handle cookie consent banner
+    try {
+      const cookieButtonSelectors = [
+        '[data-cookiefirst-action="accept"]',
+        'button[id*="accept"]',
+        '#truste-consent-button',
+      ];
+
+      let cookieAccepted = false;
+      for (const selector of cookieButtonSelectors) {
+        try {
+          const button = await page.$(selector);
+          if (button) {
+            await button.click();
+            await page.waitForTimeout(500);
+            cookieAccepted = true;
+            logger.debug('page_load', 'Cookie consent accepted', { selector });
+            break;
+          }
+        } catch (e) {
+          // Try next selector
+        }
+      }
+      if (!cookieAccepted) {
+        logger.debug('page_load', 'No cookie banner found or already accepted');
+      }
+    } catch (e) {
+      logger.debug('page_load', 'Cookie banner handling error (non-fatal)', { error: e.message });
+    }
+
+    logger.info('fill_form', 'Filling credentials...', {
+      emailLength: this.email?.length || 0,
+      passwordLength: this.password?.length || 0,
+    });
+
+    let submitButton = null;
+    try {
+      // Wait for any input field to appear
+      await page.waitForSelector(
+        'input[type="text"], input[type="email"], input:not([type])',
+        { timeout: 10000 }
+      );
+
+      // Set values directly via JavaScript
+      const result = await page.evaluate(
+        (email, password) => {
+          const inputs = Array.from(document.querySelectorAll('input'));
+
+          const usernameField = inputs.find((input) => {
+            const type = input.type;
+            const isVisible = input.offsetParent !== null;
+            const isTextInput = !type || type === 'text' || type === 'email';
+            return isVisible && isTextInput;
+          });
+
+          const passwordField = inputs.find((input) => {
+            const type = input.type;
+            const isVisible = input.offsetParent !== null;
+            return isVisible && type === 'password';
+          });
+
+          if (usernameField) {
+            usernameField.value = email;
+            usernameField.dispatchEvent(new Event('input', { bubbles: true }));
+            usernameField.dispatchEvent(new Event('change', { bubbles: true }));
+          }
+
+          if (passwordField) {
+            passwordField.value = password;
+            passwordField.dispatchEvent(new Event('input', { bubbles: true }));
+            passwordField.dispatchEvent(new Event('change', { bubbles: true }));
+          }
+
+          return {
+            usernameFound: !!usernameField,
+            passwordFound: !!passwordField,
+            usernameLength: usernameField ? usernameField.value.length : 0,
+            passwordLength: passwordField ? passwordField.value.length : 0,
+          };
+        },
+        this.email,
+        this.password
+      );
+
+      logger.debug('fill_form', 'Form fields found', result);
+
+      if (!result.usernameFound || !result.passwordFound) {
+        logger.error('fill_form', 'Could not find username or password field', null, {
+          usernameFound: result.usernameFound,
+          passwordFound: result.passwordFound,
+        });
+        throw new Error('Could not find username or password field');
+      }
+
+      await page.waitForTimeout(500);
+
+      // Find login button by text
+      const loginButton = await page.evaluateHandle(() => {
+        const buttons = Array.from(document.querySelectorAll('button'));
+        return buttons.find(
+          (btn) =>
+            btn.textContent.includes('Inloggen') ||
+            btn.textContent.includes('Login') ||
+            btn.getAttribute('type') === 'submit'
+        );
+      });
+
+      if (!loginButton || !(await loginButton.asElement())) {
+        throw new Error('Could not find login button');
+      }
+
+      submitButton = loginButton.asElement();
+      logger.debug('fill_form', 'Login button found');
+    } catch (error) {
+      logger.error('fill_form', 'Failed to find or fill form fields', error);
+      throw error;
+    }
+
+    logger.info('submit_form', 'Submitting login form...');
+
+    try {
+      await submitButton.click();
+      await page.waitForTimeout(1000);
+      logger.debug('submit_form', 'Login form submitted, waiting for navigation');
+    } catch (error) {
+      logger.error('submit_form', 'Failed to submit login form', error);
+      throw error;
+    }
+
+    // Navigation might not happen immediately - that's OK, wait2FA checks the URL
+    try {
+      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 10000 });
+      logger.debug('submit_form', 'Navigation completed after form submit', { url: page.url() });
+    } catch (navError) {
+      logger.debug('submit_form', 'Navigation timeout (expected, will check in 2FA wait)', {
+        currentUrl: page.url(),
+        error: navError.message,
+      });
+    }
+  }
+
+  /**
+   * Wait until the login is confirmed in the ICS app. Throws an error with step
+   * "2fa_timeout" after two minutes.
+   */
+  async wait2FA() {
+    const { logger, page } = this;
+    const startTime = Date.now();
+    logger.info('2fa_wait', 'Waiting for 2FA confirmation (check your phone)...', {
+      timeout: TWO_FA_TIMEOUT,
+      currentUrl: page.url(),
+    });
+
+    try {
+      // The page navigates away from the login page once 2FA is confirmed
+      await page.waitForFunction(
+        () => {
+          const currentUrl = window.location.href;
+          return (
+            !currentUrl.includes('sca-login') &&
+            (currentUrl.includes('dashboard') ||
+              currentUrl.includes('account') ||
+              currentUrl.includes('abnamro'))
+          );
+        },
+        { timeout: TWO_FA_TIMEOUT }
+      );
+
+      const finalUrl = page.url();
+      const waitTime = Date.now() - startTime;
+      this.onMetric('ics_sync_2fa_wait_seconds', waitTime / 1000, { outcome: 'confirmed' });
+      logger.info('2fa_verified', `2FA confirmed! Navigated to: ${finalUrl}`, {
+        finalUrl,
+        waitTimeMs: waitTime,
+      });
+
+      // Wait a bit for page to settle and set cookies
+      await page.waitForTimeout(1000);
+      logger.debug('2fa_verified', 'Page settled, cookies should be set');
+    } catch (error) {
+      const currentUrl = page.url();
+      const waitTime = Date.now() - startTime;
+      this.onMetric('ics_sync_2fa_wait_seconds', waitTime / 1000, {
+        outcome: this.closed ? 'cancelled' : 'timeout',
+      });
+      logger.error('2fa_timeout', `Timeout waiting for 2FA. Current URL: ${currentUrl}`, error, {
+        currentUrl,
+        waitTimeMs: waitTime,
+        timeout: TWO_FA_TIMEOUT,
+      });
+      const timeoutError = new Error(
+        '2FA verification timeout - please confirm on your phone and try again'
+      );
+      timeoutError.step = '2fa_timeout';
+      throw timeoutError;
+    }
+  }
+
+  /**
+   * Read the page cookies and XSRF token (also kept as this.xsrfToken)
+   *
+   * @returns {Promise<{ cookies: Map<string, string>, xsrfToken: string|null }>}
+   */
+  async extractCookies() {
+    try {
+      const cookies = await this.page.cookies();
+      const cookieMap = new Map();
+      let xsrfToken = null;
+
+      for (const cookie of cookies) {
+        cookieMap.set(cookie.name, cookie.value);
+        if (cookie.name === 'XSRF-TOKEN') {
+          xsrfToken = decodeURIComponent(cookie.value);
+        }
+      }
+
+      this.logger.debug('extract_cookies', 'Cookies extracted', {
+        cookieCount: cookies.length,
+        hasXsrfToken: !!xsrfToken,
+        cookieNames: Array.from(cookieMap.keys()),
+      });
+
+      this.xsrfToken = xsrfToken;
+      return { cookies: cookieMap, xsrfToken };
+    } catch (error) {
+      this.logger.error('extract_cookies', 'Failed to extract cookies', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the current session cookies so the next run can skip login and 2FA
+   */
+  async saveSession() {
+    if (!this.session) {
+      return;
+    }
+
+    try {
+      const cookies = await this.page.cookies();
+      const xsrfCookie = cookies.find((c) => c.name === 'XSRF-TOKEN');
+      writeEncryptedJson(
+        this.session.file,
+        {
+          cookies,
+          xsrfToken: xsrfCookie ? decodeURIComponent(xsrfCookie.value) : null,
+          savedAt: new Date().toISOString(),
+        },
+        this.session.secret
+      );
+      this.logger.debug('session_save', 'ICS session saved', { cookieCount: cookies.length });
+    } catch (error) {
+      // Not fatal - the next run will just need 2FA again
+      this.logger.error('session_save', 'Failed to save ICS session', error);
+    }
+  }
+
+  #discardSession() {
+    try {
+      fs.rmSync(this.session.file, { force: true });
+    } catch (error) {
+      this.logger.error('session_discard', 'Failed to remove saved ICS session', error);
+    }
+  }
+
+  /**
+   * Restore the saved session and check it is still valid.
+   * Returns true if login and 2FA can be skipped.
+   */
+  async restoreSession() {
+    const { logger, page } = this;
+    if (!this.session) {
+      return false;
+    }
+
+    let session;
+    try {
+      session = readEncryptedJson(this.session.file, this.session.secret);
+    } catch (error) {
+      logger.error('session_restore', 'Saved ICS session could not be decrypted', error);
+      this.#discardSession();
+      logger.info('session_expired', 'Saved ICS session could not be read, logging in again (2FA required)');
+      return false;
+    }
+
+    if (!session) {
+      logger.debug('session_restore', 'No saved ICS session');
+      return false;
+    }
+
+    logger.info('session_restore', 'Checking saved ICS session...', { savedAt: session.savedAt });
+
+    let probe;
+    try {
+      await page.setCookie(...session.cookies);
+      await page.goto(ICS_BASE_URL, { waitUntil: 'networkidle2', timeout: 30000 });
+
+      // The XSRF token may have been rotated by the page load
+      const { xsrfToken } = await this.extractCookies();
+      probe = await page.evaluate(async (path, xsrfToken) => {
+        const headers = { Accept: 'application/json, text/plain, */*' };
+        if (xsrfToken) {
+          headers['X-XSRF-TOKEN'] = xsrfToken;
+        }
+        const response = await fetch(path, { method: 'GET', headers, credentials: 'include' });
+        return { ok: response.ok, status: response.status };
+      }, ACCOUNTS_PATH, xsrfToken || session.xsrfToken);
+    } catch (error) {
+      logger.error('session_restore', 'Failed to probe saved ICS session', error);
+      probe = { ok: false, status: null };
+    }
+
+    if (probe.ok) {
+      logger.info('session_restored', 'Saved ICS session is still valid, skipping login', {
+        savedAt: session.savedAt,
+      });
+      return true;
+    }
+
+    const ageMinutes = Math.round((Date.now() - new Date(session.savedAt).getTime()) / 60000);
+    const reason = probe.status === 401 || probe.status === 403
+      ? `Saved ICS session from ${ageMinutes} min ago has expired`
+      : `Saved ICS session could not be verified (${probe.status ?? 'network error'})`;
+    logger.info('session_expired', `${reason}, logging in again (2FA required)`, {
+      status: probe.status,
+      savedAt: session.savedAt,
+    });
+
+    // Start the login from a clean slate
+    await page.deleteCookie(...(await page.cookies()));
+    this.#discardSession();
+    return false;
+  }
+
+  /**
+   * All accounts of the logged-in user
+   *
+   * @returns {Promise<IcsAccount[]>}
+   */
+  async getAccounts() {
+    this.logger.debug('determine_account', 'Fetching accounts from API', { hasXsrfToken: !!this.xsrfToken });
+
+    const accountsData = await this.page.evaluate(async (path, xsrfToken) => {
+      const headers = {
+        Accept: 'application/json, text/plain, */*',
+        'Accept-Language': 'nl-NL,nl;q=0.9,en;q=0.8',
+      };
+      if (xsrfToken) {
+        headers['X-XSRF-TOKEN'] = xsrfToken;
+      }
+
+      const response = await fetch(path, { method: 'GET', headers, credentials: 'include' });
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to fetch accounts: ${response.status} ${errorText}`);
+      }
+      return await response.json();
+    }, ACCOUNTS_PATH, this.xsrfToken);
+
+    this.logger.info('determine_account', 'Accounts fetched', {
+      accountsCount: Array.isArray(accountsData) ? accountsData.length : 1,
+    });
+
+    // Cookies (and the XSRF token) may have been refreshed by the request
+    await this.extractCookies();
+    return Array.isArray(accountsData) ? accountsData : [accountsData];
+  }
+
+  /**
+   * Transactions of an account between two dates (YYYY-MM-DD, inclusive), newest
+   * first. ICS limits how long a range may be - fetch long windows in chunks.
+   *
+   * @param {string} accountNumber
+   * @param {string} fromDate
+   * @param {string} untilDate
+   * @returns {Promise<import('./transaction-mapper.js').IcsTransaction[]>}
+   */
+  async getTransactions(accountNumber, fromDate, untilDate) {
+    const startTime = Date.now();
+    const transactions = await this.page.evaluate(
+      async (path, accountNumber, fromDate, untilDate, xsrfToken) => {
+        const url =
+          `${path}?accountNumber=${accountNumber}` +
+          `&debitCredit=DEBIT_AND_CREDIT` +
+          `&fromDate=${fromDate}` +
+          `&untilDate=${untilDate}`;
+
+        const headers = { Accept: 'application/json, text/plain, */*' };
+        if (xsrfToken) {
+          headers['X-XSRF-TOKEN'] = xsrfToken;
+        }
+
+        const response = await fetch(url, { method: 'GET', headers, credentials: 'include' });
+        if (!response.ok) {
+          const errorText = await response.text();
+          throw new Error(`Failed to fetch transactions: ${response.status} ${errorText}`);
+        }
+        return await response.json();
+      },
+      TRANSACTIONS_PATH,
+      accountNumber,
+      fromDate,
+      untilDate,
+      this.xsrfToken
+    );
+    this.onMetric('ics_sync_chunk_fetch_seconds', (Date.now() - startTime) / 1000);
+
+    if (!Array.isArray(transactions)) {
+      this.logger.error('fetch_chunk', 'Invalid transactions response', null, {
+        responseType: typeof transactions,
+        responsePreview: JSON.stringify(transactions).substring(0, 200),
+      });
+      throw new Error(`Invalid transactions response: ${JSON.stringify(transactions)}`);
+    }
+    return transactions;
+  }
+}
@@ -0,0 +1,579 @@
+/**
+ * Lunch Money v2 API client: tags, transactions, manual accounts (assets) and
+ * categories. Batch inserts are retried on 429/5xx and network errors (see retry.js).
+ */
+
+import { RETRYABLE_STATUSES, parseRetryAfter, retryDelay, sleep } from './retry.js';
+
+export const LUNCHMONEY_API_URL = 'https://api.lunchmoney.dev/v2';
+
+// v2 API accepts up to 500 transactions per request
+const BATCH_SIZE = 500;
+
+/**
+ * Where the client reports what it does; the sync script passes its own
+ * logging (stderr + progress events)
+ *
+ * @typedef {object} Logger
+ * @property {(step: string, message: string, context?: object) => void} info
+ * @property {(step: string, message: string, error: Error|null, context?: object) => void} error
+ * @property {(step: string, message: string, context?: object) => void} debug
+ */
+
+/** @type {Logger} */
+const SILENT_LOGGER = { info() {}, error() {}, debug() {} };
+
+/**
+ * Transaction as returned by GET /v2/transactions (only the fields used here)
+ *
+ * @typedef {object} ExistingTransaction
+ * @property {number} id
+ * @property {string} date
+ * @property {string} payee
+ * @property {number|string} amount
+ * @property {string|null} external_id
+ * @property {number[]} [tag_ids]
+ * @property {number|null} manual_account_id
+ */
+
+/**
+ * @typedef {object} ManualAccount
+ * @property {number} id
+ * @property {string} name
+ * @property {number|string} balance
+ * @property {string} currency
+ */
+
+/**
+ * @typedef {object} Category
+ * @property {number} id
+ * @property {string} name
+ * @property {boolean} is_group
+ * @property {boolean} archived
+ */
+
+/**
+ * @typedef {object} BatchCounts
+ * @property {number} batchIndex               1-based
+ * @property {number} totalBatches
+ * @property {number} insertedCount
+ * @property {number} skippedCount
+ */
+
+/**
+ * @typedef {object} InsertResult
+ * @property {object[]} results                raw response of every batch
+ * @property {number} insertedCount
+ * @property {number} skippedCount
+ * @property {number} retries                  retried requests across all batches
+ */
+
+/**
+ * User-facing message for a failed batch insert
+ */
+function insertErrorMessage(status, responseText) {
+  if (status === 503) {
+    return 'Lunch Money service is temporarily unavailable (503). Please try again in a few minutes.';
+  }
+  if (status === 401) {
+    return 'Invalid Lunch Money API token. Please check your LUNCHMONEY_TOKEN.';
+  }
+  if (status === 400) {
+    return `Lunch Money bad request (400): ${responseText.substring(0, 200)}`;
+  }
+  if (status === 404) {
+    return 'Lunch Money resource not found (404). Check your manual_account_id.';
+  }
+  if (status === 429) {
+    return 'Lunch Money rate limit exceeded (429). Please try again later.';
+  }
+  if (status === 500) {
+    return 'Lunch Money server error. Please try again later.';
+  }
+  if (status >= 400 && status < 500) {
+    return `Lunch Money client error (${status}). Please check your configuration.`;
+  }
+  if (status >= 500) {
+    return `Lunch Money server error (${status}). The service may be experiencing issues.`;
+  }
+  return `Lunch Money API error (${status})`;
+}
+
+/**
+ * Count inserted/skipped transactions of a batch response (v2 and v1 formats)
+ */
+function countResult(result) {
+  if (result.transactions) {
+    return { insertedCount: result.transactions.length, skippedCount: result.skipped_duplicates?.length || 0 };
+  }
+  if (result.ids) {
+    return { insertedCount: result.ids.length, skippedCount: 0 };
+  }
+  return null;
+}
+
+export class LunchMoneyClient {
+  /**
+   * @param {object} options
+   * @param {string} options.token               Lunch Money API token
+   * @param {string} [options.baseUrl]
+   * @param {number} [options.maxRetries]        retries per batch insert
+   * @param {AbortSignal} [options.signal]       aborts batch inserts and their retry waits
+   * @param {Logger} [options.logger]
+   * @param {(name: string, value: number, labels?: object) => void} [options.onMetric]
+   */
+  constructor({ token, baseUrl = LUNCHMONEY_API_URL, maxRetries = 4, signal = null, logger = SILENT_LOGGER, onMetric = () => {} }) {
+    this.token = token;
+    this.baseUrl = baseUrl;
+    this.maxRetries = maxRetries;
+    this.signal = signal;
+    this.logger = logger;
+    this.onMetric = onMetric;
+  }
+
+  #headers(json = false) {
+    return {
+      Authorization: `Bearer ${this.token}`,
+      ...(json && { 'Content-Type': 'application/json' }),
+    };
+  }
+
+  /**
+   * Request that must succeed with a JSON body (or none); throws with the
+   * status and the start of the response otherwise
+   */
+  async #request(path, { method = 'GET', body, description }) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: this.#headers(body !== undefined),
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const responseText = await response.text();
+
+    if (!response.ok) {
+      throw new Error(`Lunch Money ${description} failed: ${response.status} ${responseText.substring(0, 200)}`);
+    }
+    if (!responseText) {
+      return null;
+    }
+    try {
+      return JSON.parse(responseText);
+    } catch (parseError) {
+      throw new Error(`Invalid JSON response from Lunch Money ${description}: ${responseText.substring(0, 100)}`);
+    }
+  }
+
+  /**
+   * Create a tag, or find it when it already exists
+   *
+   * @param {string} tagName
+   * @returns {Promise<number>} tag ID
+   */
+  async createTag(tagName) {
+    const { logger } = this;
+    logger.debug('tag_create', `Creating tag: ${tagName}`);
+
+    try {
+      const resp = await fetch(`${this.baseUrl}/tags`, {
+        method: 'POST',
+        headers: this.#headers(true),
+        body: JSON.stringify({ name: tagName }),
+      });
+
+      const responseText = await resp.text();
+      logger.debug('tag_create_response', 'Tag creation response', {
+        status: resp.status,
+        statusText: resp.statusText,
+        responsePreview: responseText.substring(0, 200),
+      });
+
+      let data;
+      try {
+        data = JSON.parse(responseText);
+      } catch (parseError) {
+        logger.error('tag_parse_error', 'Failed to parse tag response', parseError, {
+          responseText: responseText.substring(0, 200),
+        });
+        throw new Error(`Invalid JSON response from Lunch Money tags endpoint: ${responseText.substring(0, 100)}`);
+      }
+
+      // 201 = created, 400 with existing tag = already exists
+      if (resp.status === 201) {
+        if (!data.id) {
+          logger.error('tag_missing_id', 'Tag created but no ID returned', null, {
+            response: JSON.stringify(data).substring(0, 200),
+          });
+          throw new Error('Tag created but no ID returned from Lunch Money');
+        }
+        logger.info('tag_created', `Created tag: ${tagName}`, { tagId: data.id });
+        return data.id;
+      }
+
+      if (data.error) {
+        logger.debug('tag_error_response', 'Tag creation returned error', {
+          error: data.error,
+          status: resp.status,
+        });
+      }
+
+      // If tag exists, fetch it
+      if (resp.status === 400) {
+        logger.debug('tag_fetch_existing', 'Tag may already exist, fetching all tags');
+        const existing = (await this.getTags()).find((t) => t.name === tagName);
+        if (existing) {
+          logger.info('tag_found', `Using existing tag: ${tagName}`, { tagId: existing.id });
+          return existing.id;
+        }
+        logger.error('tag_not_found', 'Tag creation failed and tag not found in existing tags', null, { tagName });
+      }
+
+      logger.error('tag_unexpected_status', 'Unexpected response from tag creation', null, {
+        status: resp.status,
+        statusText: resp.statusText,
+        response: JSON.stringify(data).substring(0, 500),
+      });
+
+      throw new Error(`Failed to create tag: ${resp.status} - ${JSON.stringify(data).substring(0, 200)}`);
+    } catch (error) {
+      if (error.message.includes('Failed to create tag') || error.message.includes('Lunch Money')) {
+        throw error;
+      }
+      logger.error('tag_create_exception', 'Exception during tag creation', error, {
+        tagName,
+        errorMessage: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<{ id: number, name: string }>>}
+   */
+  async getTags() {
+    const data = await this.#request('/tags', { description: 'tags request' });
+    const tags = data.tags || data;
+    if (!Array.isArray(tags)) {
+      this.logger.error('tags_not_array', 'Tags response is not an array', null, {
+        responseKeys: Object.keys(data),
+      });
+      throw new Error('Unexpected tags response format from Lunch Money');
+    }
+    return tags;
+  }
+
+  /**
+   * Transactions of a manual account in a date range (all pages)
+   *
+   * @param {{ manualAccountId: number, startDate: string, endDate: string }} query  dates YYYY-MM-DD
+   * @returns {Promise<ExistingTransaction[]>}
+   */
+  async getTransactions({ manualAccountId, startDate, endDate }) {
+    const transactions = [];
+    const limit = 500;
+    let offset = 0;
+
+    while (true) {
+      const params = new URLSearchParams({
+        manual_account_id: String(manualAccountId),
+        start_date: startDate,
+        end_date: endDate,
+        limit: String(limit),
+        offset: String(offset),
+      });
+      const data = await this.#request(`/transactions?${params}`, { description: 'transactions request' });
+
+      const page = data.transactions || [];
+      transactions.push(...page);
+
+      if (!data.has_more || page.length === 0) {
+        break;
+      }
+      offset += page.length;
+    }
+
+    this.logger.debug('fetch_existing', 'Fetched existing Lunch Money transactions', {
+      manualAccountId,
+      startDate,
+      endDate,
+      transactionsCount: transactions.length,
+    });
+    return transactions;
+  }
+
+  /**
+   * @param {number} id
+   * @param {{ date?: string, amount?: number, external_id?: string }} changes
+   */
+  async updateTransaction(id, changes) {
+    await this.#request(`/transactions/${id}`, { method: 'PUT', body: changes, description: `PUT transaction ${id}` });
+  }
+
+  /**
+   * @param {number} id
+   */
+  async deleteTransaction(id) {
+    await this.#request(`/transactions/${id}`, { method: 'DELETE', description: `DELETE transaction ${id}` });
+  }
+
+  /**
+   * POST one batch, retrying on 429/5xx responses and network errors. Only this
+   * batch is re-sent; external_id dedupe makes a retry after a partially applied
+   * request safe. Returns the last response and the number of retries.
+   */
+  async #postBatchWithRetry(requestBody, batchLabel) {
+    let retries = 0;
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let networkError = null;
+      try {
+        response = await fetch(`${this.baseUrl}/transactions`, {
+          method: 'POST',
+          headers: this.#headers(true),
+          body: JSON.stringify(requestBody),
+          signal: this.signal ?? undefined,
+        });
+        this.onMetric('ics_sync_lunchmoney_responses_total', 1, { status: String(response.status) });
+      } catch (error) {
+        // Cancelled, not a network problem worth retrying
+        this.signal?.throwIfAborted();
+        networkError = error;
+      }
+
+      const retryable = networkError || RETRYABLE_STATUSES.includes(response.status);
+      const delay = retryable && attempt < this.maxRetries
+        ? retryDelay(attempt, networkError ? null : parseRetryAfter(response.headers.get('retry-after')))
+        : null;
+      if (delay === null) {
+        if (networkError) {
+          networkError.retries = retries;
+          throw networkError;
+        }
+        return { response, retries };
+      }
+
+      const reason = networkError ? networkError.message : `HTTP ${response.status}`;
+      this.logger.info('sync_batch_retry', `${batchLabel}: Lunch Money failed (${reason}), retrying in ${Math.ceil(delay / 1000)}s (retry ${attempt + 1}/${this.maxRetries})...`);
+      if (response) {
+        await response.text().catch(() => {});
+      }
+      await sleep(delay, this.signal);
+      retries++;
+    }
+  }
+
+  /**
+   * Insert transactions in batches of 500. Stops at the first batch that fails;
+   * `onBatchConfirmed(batch, counts)` is called for every batch Lunch Money accepted.
+   *
+   * @param {import('./transaction-mapper.js').LunchMoneyTransaction[]} transactions
+   * @param {object} [options]
+   * @param {boolean} [options.skipDuplicates]   also skip same date/payee/amount (external_id is always deduped)
+   * @param {(batch: object[], counts: BatchCounts) => void} [options.onBatchConfirmed]
+   * @returns {Promise<InsertResult>}
+   */
+  async insertTransactions(transactions, { skipDuplicates = true, onBatchConfirmed = () => {} } = {}) {
+    const { logger } = this;
+    const batches = [];
+    for (let i = 0; i < transactions.length; i += BATCH_SIZE) {
+      batches.push(transactions.slice(i, i + BATCH_SIZE));
+    }
+
+    logger.info('sync_lunchmoney', `Prepared ${batches.length} batches`, {
+      batchesCount: batches.length,
+      batchSize: BATCH_SIZE,
+      totalTransactions: transactions.length,
+    });
+
+    const results = [];
+    let totalInserted = 0;
+    let totalSkipped = 0;
+    let totalRetries = 0;
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i];
+      logger.info('sync_batch_start', `Sending batch ${i + 1}/${batches.length} (${batch.length} transactions) to Lunch Money...`, {
+        batchIndex: i + 1,
+        totalBatches: batches.length,
+        transactionsInBatch: batch.length,
+      });
+
+      try {
+        // Log first transaction for debugging (without sensitive data)
+        if (batch.length > 0) {
+          const sampleTx = batch[0];
+          logger.debug('sync_batch_sample', 'First transaction in batch', {
+            date: sampleTx.date,
+            amount: sampleTx.amount,
+            payee: sampleTx.payee?.substring(0, 30),
+            manual_account_id: sampleTx.manual_account_id,
+            external_id: sampleTx.external_id,
+            status: sampleTx.status,
+            has_tag_ids: Array.isArray(sampleTx.tag_ids) && sampleTx.tag_ids.length > 0,
+          });
+        }
+
+        const requestBody = {
+          transactions: batch,
+          apply_rules: true,
+          skip_duplicates: skipDuplicates,
+        };
+
+        const { response, retries } = await this.#postBatchWithRetry(requestBody, `Batch ${i + 1}/${batches.length}`);
+        totalRetries += retries;
+
+        const responseText = await response.text();
+        logger.debug('sync_batch_response_raw', 'Raw API response', {
+          batchIndex: i + 1,
+          status: response.status,
+          statusText: response.statusText,
+          responseLength: responseText.length,
+          responsePreview: responseText.substring(0, 500),
+        });
+
+        // v2 API returns 201 Created on success
+        if (!response.ok && response.status !== 201) {
+          let userMessage = insertErrorMessage(response.status, responseText);
+          if (retries > 0) {
+            userMessage += ` (gave up after ${retries} ${retries === 1 ? 'retry' : 'retries'})`;
+          }
+          if (i > 0) {
+            userMessage += ` Batches 1-${i} of ${batches.length} were already saved.`;
+          }
+
+          logger.error('sync_batch_error', 'Lunch Money API error', null, {
+            batchIndex: i + 1,
+            totalBatches: batches.length,
+            statusCode: response.status,
+            statusText: response.statusText,
+            responseBody: responseText.substring(0, 1000),
+            userMessage,
+          });
+          throw new Error(userMessage);
+        }
+
+        let result;
+        try {
+          result = JSON.parse(responseText);
+        } catch (parseError) {
+          logger.error('sync_batch_parse_error', 'Failed to parse Lunch Money response as JSON', parseError, {
+            batchIndex: i + 1,
+            responseText: responseText.substring(0, 500),
+          });
+          throw new Error(`Invalid JSON response from Lunch Money: ${responseText.substring(0, 200)}`);
+        }
+
+        // The API might return 200/201 with an error in the body
+        if (result.error) {
+          const errorMsg = Array.isArray(result.error) ? result.error.join(', ') : String(result.error);
+          logger.error('sync_batch_api_error', 'Lunch Money returned error in response body', null, {
+            batchIndex: i + 1,
+            status: response.status,
+            errorField: errorMsg,
+            fullResponse: JSON.stringify(result).substring(0, 1000),
+          });
+          throw new Error(`Lunch Money API error: ${errorMsg}`);
+        }
+
+        // v2 API returns { transactions: [...], skipped_duplicates: [...] }, v1 { ids: [...] }
+        const counts = countResult(result);
+        if (!counts) {
+          logger.error('sync_batch_unknown_format', 'Unexpected response format from Lunch Money', null, {
+            batchIndex: i + 1,
+            responseKeys: Object.keys(result),
+            fullResponse: JSON.stringify(result).substring(0, 1000),
+          });
+        }
+        const { insertedCount, skippedCount } = counts || { insertedCount: 0, skippedCount: 0 };
+        totalInserted += insertedCount;
+        totalSkipped += skippedCount;
+
+        logger.info('sync_batch_complete', `Batch ${i + 1}/${batches.length}: ${insertedCount} inserted, ${skippedCount} skipped (of ${batch.length} sent)`, {
+          batchIndex: i + 1,
+          totalBatches: batches.length,
+          transactionsInBatch: batch.length,
+          insertedCount,
+          skippedCount,
+          responseStatus: response.status,
+        });
+
+        if (insertedCount === 0 && batch.length > 0) {
+          logger.error('sync_batch_warning', 'No transactions were inserted - all may have been skipped as duplicates or rejected', null, {
+            batchIndex: i + 1,
+            transactionsSent: batch.length,
+            skippedCount,
+            responseStatus: response.status,
+            fullResponse: JSON.stringify(result).substring(0, 1000),
+          });
+        }
+
+        results.push(result);
+        onBatchConfirmed(batch, { batchIndex: i + 1, totalBatches: batches.length, insertedCount, skippedCount });
+      } catch (error) {
+        if (error.message.includes('Lunch Money')) {
+          throw error;
+        }
+        logger.error('sync_batch_failed', 'Failed to send batch to Lunch Money', error, {
+          batchIndex: i + 1,
+          totalBatches: batches.length,
+          transactionsInBatch: batch.length,
+          errorMessage: error.message,
+          errorStack: error.stack,
+        });
+        throw error;
+      }
+    }
+
+    let summaryMsg = `Sync complete: ${totalInserted} inserted, ${totalSkipped} skipped (of ${transactions.length} total)`;
+    if (totalRetries > 0) {
+      summaryMsg += `, ${totalRetries} ${totalRetries === 1 ? 'retry' : 'retries'}`;
+    }
+    logger.info('sync_lunchmoney_complete', summaryMsg, {
+      totalBatches: batches.length,
+      totalTransactions: transactions.length,
+      totalInserted,
+      totalSkipped,
+    });
+
+    if (totalInserted + totalSkipped !== transactions.length) {
+      logger.error('sync_count_mismatch', 'Transaction count mismatch - some transactions may have been silently rejected', null, {
+        totalSent: transactions.length,
+        totalInserted,
+        totalSkipped,
+        difference: transactions.length - totalInserted - totalSkipped,
+      });
+    }
+
+    return { results, insertedCount: totalInserted, skippedCount: totalSkipped, retries: totalRetries };
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<ManualAccount>}
+   */
+  async getManualAccount(id) {
+    return this.#request(`/manual_accounts/${id}`, { description: `manual account ${id} request` });
+  }
+
+  /**
+   * @param {number} id
+   * @param {{ balance?: number }} changes
+   * @returns {Promise<ManualAccount>}
+   */
+  async updateManualAccount(id, changes) {
+    return this.#request(`/manual_accounts/${id}`, {
+      method: 'PUT',
+      body: changes,
+      description: `manual account ${id} request`,
+    });
+  }
+
+  /**
+   * All categories and category groups, flattened
+   *
+   * @returns {Promise<Category[]>}
+   */
+  async getCategories() {
+    const data = await this.#request('/categories?format=flattened', { description: 'categories request' });
+    return data.categories || [];
+  }
+}
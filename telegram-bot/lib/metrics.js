@@ -0,0 +1,79 @@
+/**
+ * Minimal Prometheus metrics: counters and histograms with labels, rendered in
+ * the text exposition format for GET /metrics.
+ */
+
+// Seconds; covers quick API calls as well as a slow 2FA approval
+export const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const parts = entries.map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return `{${parts.join(',')}}`;
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  const counter = (name, help) => {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    });
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = labelKey(labels);
+        const current = series.get(key) || { labels, value: 0 };
+        current.value += value;
+        series.set(key, current);
+      },
+    };
+  };
+
+  const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+    const series = new Map();
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    });
+    return {
+      observe: (value, labels = {}) => {
+        const key = labelKey(labels);
+        const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            current.counts[i]++;
+          }
+        });
+        current.sum += value;
+        current.count++;
+        series.set(key, current);
+      },
+    };
+  };
+
+  const render = () => metrics.map(({ name, help, type, lines }) =>
+    [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n')
+  ).join('\n') + '\n';
+
+  return { counter, histogram, render };
+}
@@ -0,0 +1,62 @@
+/**
+ * Payee normalization: regex/replace rules that turn ICS descriptions such as
+ * "ALBERT HEIJN 1234 AMSTERDAM NLD" or "PAYPAL *SPOTIFY" into stable payees.
+ *
+ * Rules are a JSON array (see config/payee-rules.json) of
+ * `{ "pattern": "...", "replace": "...", "flags": "i" }`, applied in order.
+ *
+ * This module has no imports so bookmarklet/build.js can inline it into the
+ * bookmarklet, which then produces the same payees as the sync script.
+ */
+
+function validateRule(rule, index) {
+  const label = `Payee rule #${index + 1}`;
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (typeof rule.pattern !== 'string' || !rule.pattern) {
+    throw new Error(`${label} needs a pattern`);
+  }
+  if (rule.replace !== undefined && typeof rule.replace !== 'string') {
+    throw new Error(`${label}: replace must be a string`);
+  }
+
+  // Always global so every occurrence is replaced
+  const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+  try {
+    return { regex: new RegExp(rule.pattern, flags), replace: rule.replace || '' };
+  } catch (error) {
+    throw new Error(`${label}: invalid pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Validate rules (as parsed from JSON) and compile their patterns
+ */
+export function compilePayeeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Payee rules must be a JSON array');
+  }
+  return rules.map(validateRule);
+}
+
+/**
+ * Uppercased payee for an ICS description. Without rules this is just the
+ * uppercased description, which is what earlier versions used as payee.
+ */
+export function normalizePayee(description, compiledRules = []) {
+  const original = String(description || '');
+  if (compiledRules.length === 0) {
+    return original.toUpperCase();
+  }
+
+  let payee = original;
+  for (const { regex, replace } of compiledRules) {
+    payee = payee.replace(regex, replace);
+  }
+  payee = payee.replace(/\s+/g, ' ').trim();
+
+  // A rule must never leave a transaction without a payee
+  return (payee || original).toUpperCase();
+}
@@ -0,0 +1,79 @@
+/**
+ * Dry-run preview: compare transformed transactions with what already exists in
+ * Lunch Money and predict what an import would do with each of them.
+ *
+ * Statuses:
+ * - insert:    new, would be inserted
+ * - exists:    same external_id already imported (Lunch Money skips it)
+ * - duplicate: same date/payee/amount exists (skipped when skip_duplicates is on)
+ * - changed:   same date/payee exists with a different amount (would be inserted next to it)
+ */
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function normalizePayee(payee) {
+  return String(payee || '').trim().toUpperCase();
+}
+
+function dayKey(t) {
+  return `${t.manual_account_id}|${t.date}|${normalizePayee(t.payee)}`;
+}
+
+/**
+ * Classify planned transactions against existing Lunch Money transactions
+ */
+export function previewTransactions(planned, existing, { skipDuplicates = true } = {}) {
+  const byExternalId = new Map();
+  const byDay = new Map();
+
+  for (const t of existing) {
+    if (t.external_id) {
+      byExternalId.set(`${t.manual_account_id}|${t.external_id}`, t);
+    }
+    const key = dayKey(t);
+    if (!byDay.has(key)) {
+      byDay.set(key, []);
+    }
+    byDay.get(key).push(t);
+  }
+
+  const rows = planned.map((t) => {
+    const row = {
+      date: t.date,
+      payee: t.payee,
+      amount: t.amount,
+      manual_account_id: t.manual_account_id,
+      external_id: t.external_id,
+    };
+
+    const sameId = byExternalId.get(`${t.manual_account_id}|${t.external_id}`);
+    if (sameId) {
+      return { ...row, status: 'exists', existingId: sameId.id };
+    }
+
+    const sameDay = byDay.get(dayKey(t)) || [];
+    const sameAmount = sameDay.find((e) => toCents(e.amount) === toCents(t.amount));
+    if (sameAmount && skipDuplicates) {
+      return { ...row, status: 'duplicate', existingId: sameAmount.id };
+    }
+    if (!sameAmount && sameDay.length > 0) {
+      return {
+        ...row,
+        status: 'changed',
+        existingId: sameDay[0].id,
+        existingAmount: Number(sameDay[0].amount),
+      };
+    }
+
+    return { ...row, status: 'insert' };
+  });
+
+  const counts = { insert: 0, exists: 0, duplicate: 0, changed: 0 };
+  for (const row of rows) {
+    counts[row.status]++;
+  }
+
+  return { counts, rows };
+}
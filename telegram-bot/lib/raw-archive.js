@@ -0,0 +1,179 @@
+/**
+ * Archive of the raw ICS responses: every fetched chunk of transactions is kept
+ * with its account number, date range and fetch time, encrypted like the sync
+ * journal, so it can be transformed and sent to Lunch Money again later without
+ * going to ICS. Days older than the retention period are pruned.
+ *
+ * Layout: <dir>/<fetch day>/<fetchedAt>_<account>_<from>_<until>.json.gz.enc
+ * (gzipped JSON, then encrypted with RAW_ARCHIVE_SECRET; archives written
+ * before encryption are plain .json.gz, still read and pruned)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { readEncryptedBuffer, writeEncryptedBuffer } from './encrypted-store.js';
+
+const FILE_PATTERN = /^(.+Z)_(.+)_(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})\.json\.gz(\.enc)?$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function nextDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+function previousDay(day) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Save one fetched chunk, gzipped and encrypted with `secret`. Dates are YYYY-MM-DD,
+ * `fetchedAt` a Date. Returns the archive file path.
+ */
+export function archiveChunk(dir, { accountNumber, fromDate, untilDate, fetchedAt = new Date(), transactions }, secret) {
+  const timestamp = fetchedAt.toISOString();
+  // Colons aren't allowed in file names everywhere
+  const fileName = `${timestamp.replace(/:/g, '-')}_${accountNumber}_${fromDate}_${untilDate}.json.gz.enc`;
+  const entry = { accountNumber, fromDate, untilDate, fetchedAt: timestamp, transactions };
+
+  const filePath = path.join(dir, timestamp.slice(0, 10), fileName);
+  writeEncryptedBuffer(filePath, zlib.gzipSync(JSON.stringify(entry)), secret);
+  return filePath;
+}
+
+/**
+ * Delete the days fetched more than `maxAgeDays` ago. Returns the number of
+ * deleted days.
+ */
+export function pruneArchive(dir, maxAgeDays, now = new Date()) {
+  const cutoff = new Date(now.getTime() - maxAgeDays * DAY_MS).toISOString().slice(0, 10);
+  let days;
+  try {
+    days = fs.readdirSync(dir).filter((name) => DAY_PATTERN.test(name));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const expired = days.filter((day) => day < cutoff);
+  for (const day of expired) {
+    fs.rmSync(path.join(dir, day), { recursive: true, force: true });
+  }
+  return expired.length;
+}
+
+/**
+ * Archived chunks (without their transactions), oldest first
+ */
+export function listArchive(dir) {
+  let days;
+  try {
+    days = fs.readdirSync(dir).filter((name) => DAY_PATTERN.test(name));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const day of days) {
+    for (const fileName of fs.readdirSync(path.join(dir, day))) {
+      const match = fileName.match(FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+      entries.push({
+        filePath: path.join(dir, day, fileName),
+        fetchedAt: match[1].replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3'),
+        accountNumber: match[2],
+        fromDate: match[3],
+        untilDate: match[4],
+      });
+    }
+  }
+  return entries.sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+}
+
+/**
+ * One archived chunk as saved by archiveChunk. Throws if it can't be decrypted.
+ */
+export function readArchiveEntry(filePath, secret) {
+  const compressed = filePath.endsWith('.enc') ? readEncryptedBuffer(filePath, secret) : fs.readFileSync(filePath);
+  return JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+}
+
+/**
+ * Account numbers that have archived chunks
+ */
+export function listArchivedAccounts(dir) {
+  return [...new Set(listArchive(dir).map((entry) => entry.accountNumber))];
+}
+
+/**
+ * Archived transactions of an account between two dates (YYYY-MM-DD, inclusive).
+ * Each day is taken from the newest fetch that covered it, so a transaction
+ * fetched several times (e.g. pending, then settled) is only returned once, as
+ * ICS last reported it.
+ *
+ * Returns { transactions, chunksCount, gaps, unreadable } - `gaps` are the
+ * date ranges ({ fromDate, untilDate }) no readable chunk covers, `unreadable`
+ * the chunks that couldn't be decrypted ({ filePath, fromDate, untilDate, error }).
+ * Their days are only gaps when no other chunk covers them.
+ */
+export function readArchivedTransactions(dir, accountNumber, fromDate, untilDate, secret) {
+  const entries = listArchive(dir)
+    .filter((entry) => entry.accountNumber === accountNumber)
+    .filter((entry) => entry.fromDate <= untilDate && entry.untilDate >= fromDate)
+    .reverse();
+
+  const covered = [];
+  const unreadable = [];
+  const transactions = [];
+  for (const entry of entries) {
+    let archived;
+    try {
+      archived = readArchiveEntry(entry.filePath, secret);
+    } catch (error) {
+      // E.g. written with another RAW_ARCHIVE_SECRET; the other chunks can still be replayed
+      unreadable.push({ filePath: entry.filePath, fromDate: entry.fromDate, untilDate: entry.untilDate, error: error.message });
+      continue;
+    }
+    const isNewer = (date) => covered.some((range) => date >= range.fromDate && date <= range.untilDate);
+    for (const transaction of archived.transactions) {
+      const date = transaction.transactionDate;
+      if (date && date >= fromDate && date <= untilDate && !isNewer(date)) {
+        transactions.push(transaction);
+      }
+    }
+    covered.push(entry);
+  }
+
+  return { transactions, chunksCount: entries.length, gaps: findGaps(covered, fromDate, untilDate), unreadable };
+}
+
+function findGaps(ranges, fromDate, untilDate) {
+  const gaps = [];
+  let day = fromDate;
+  for (const range of [...ranges].sort((a, b) => a.fromDate.localeCompare(b.fromDate))) {
+    if (day > untilDate) {
+      break;
+    }
+    if (range.fromDate > day) {
+      gaps.push({ fromDate: day, untilDate: previousDay(range.fromDate) });
+    }
+    if (range.untilDate >= day) {
+      day = nextDay(range.untilDate);
+    }
+  }
+  if (day <= untilDate) {
+    gaps.push({ fromDate: day, untilDate });
+  }
+  return gaps;
+}
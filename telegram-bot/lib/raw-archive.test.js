@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { readEncryptedBuffer } from './encrypted-store.js';
+import { archiveChunk, listArchive, pruneArchive, readArchivedTransactions } from './raw-archive.js';
+
+const SECRET = 'archive-secret';
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raw-archive-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function chunk(fetchedAt, transactions) {
+  return { accountNumber: '123', fromDate: '2026-03-01', untilDate: '2026-03-31', fetchedAt: new Date(fetchedAt), transactions };
+}
+
+describe('raw archive', () => {
+  test('compresses and encrypts archived chunks', () => {
+    const filePath = archiveChunk(dir, chunk('2026-04-01T08:00:00Z', [{ transactionDate: '2026-03-05', description: 'ALBERT HEIJN' }]), SECRET);
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('ALBERT HEIJN');
+    expect(zlib.gunzipSync(readEncryptedBuffer(filePath, SECRET)).toString('utf8')).toContain('ALBERT HEIJN');
+
+    const { transactions, gaps, unreadable } = readArchivedTransactions(dir, '123', '2026-03-01', '2026-03-31', SECRET);
+    expect(transactions).toEqual([{ transactionDate: '2026-03-05', description: 'ALBERT HEIJN' }]);
+    expect(gaps).toEqual([]);
+    expect(unreadable).toEqual([]);
+  });
+
+  test('reports chunks it can\'t decrypt and replays the others', () => {
+    archiveChunk(dir, chunk('2026-04-01T08:00:00Z', [{ transactionDate: '2026-03-05' }]), SECRET);
+    archiveChunk(dir, { ...chunk('2026-04-02T08:00:00Z', [{ transactionDate: '2026-04-01' }]), fromDate: '2026-04-01', untilDate: '2026-04-02' }, 'old-secret');
+
+    const { transactions, gaps, unreadable } = readArchivedTransactions(dir, '123', '2026-03-01', '2026-04-02', SECRET);
+    expect(transactions).toEqual([{ transactionDate: '2026-03-05' }]);
+    expect(gaps).toEqual([{ fromDate: '2026-04-01', untilDate: '2026-04-02' }]);
+    expect(unreadable).toHaveLength(1);
+    expect(unreadable[0]).toMatchObject({ fromDate: '2026-04-01', untilDate: '2026-04-02' });
+  });
+
+  test('takes days of an unreadable chunk from an older one', () => {
+    archiveChunk(dir, chunk('2026-04-01T08:00:00Z', [{ transactionDate: '2026-03-05', status: 'old' }]), SECRET);
+    archiveChunk(dir, chunk('2026-04-02T08:00:00Z', [{ transactionDate: '2026-03-05', status: 'new' }]), 'old-secret');
+
+    const { transactions, gaps, unreadable } = readArchivedTransactions(dir, '123', '2026-03-01', '2026-03-31', SECRET);
+    expect(transactions).toEqual([{ transactionDate: '2026-03-05', status: 'old' }]);
+    expect(gaps).toEqual([]);
+    expect(unreadable).toHaveLength(1);
+  });
+
+  test('still reads gzipped archives', () => {
+    const entry = { ...chunk('2026-04-01T08:00:00Z', [{ transactionDate: '2026-03-06' }]), fetchedAt: '2026-04-01T08:00:00.000Z' };
+    fs.mkdirSync(path.join(dir, '2026-04-01'));
+    fs.writeFileSync(
+      path.join(dir, '2026-04-01', '2026-04-01T08-00-00.000Z_123_2026-03-01_2026-03-31.json.gz'),
+      zlib.gzipSync(JSON.stringify(entry))
+    );
+    expect(readArchivedTransactions(dir, '123', '2026-03-01', '2026-03-31', SECRET).transactions).toHaveLength(1);
+  });
+
+  test('prunes days fetched before the retention period', () => {
+    archiveChunk(dir, chunk('2025-01-01T08:00:00Z', []), SECRET);
+    archiveChunk(dir, chunk('2026-04-01T08:00:00Z', []), SECRET);
+
+    expect(pruneArchive(dir, 30, new Date('2026-04-10T00:00:00Z'))).toBe(1);
+    expect(listArchive(dir).map((entry) => entry.fetchedAt)).toEqual(['2026-04-01T08:00:00.000Z']);
+    expect(pruneArchive(path.join(dir, 'missing'), 30)).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Pending-transaction reconciliation.
+ *
+ * When ICS settles a transaction with a different amount or batch, its external_id
+ * changes and a second Lunch Money row would appear while the old one stays behind.
+ * A previously imported row is considered stale when it carries the account tag
+ * of the ICS account being synced and ICS no longer returns its external_id for a
+ * date it covered; it is matched to a current transaction with the same payee on a
+ * close date and a close amount, then either updated in place (keeping the user's
+ * category and tags) or deleted if the current transaction already exists.
+ *
+ * Rows without the account tag (other ICS accounts routed into the same asset,
+ * bookmarklet imports, rows imported before account tags existed) and rows with
+ * an external_id from another EXTERNAL_ID_SUFFIX are never touched.
+ */
+
+// external_id written by buildExternalId() without a suffix: <date>-<time>-<batch>-<seq>-<amount>
+const IMPORTED_ID_PATTERN = /^\d{4}-\d{2}-\d{2}-[^-]+-[^-]+-[^-]+--?\d+(\.\d+)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizePayee(payee) {
+  return String(payee || '').trim().toUpperCase();
+}
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Whether an external_id was written by this sync with the current suffix
+ */
+function isImportedId(externalId, externalIdSuffix) {
+  if (!externalId) {
+    return false;
+  }
+  if (!externalIdSuffix) {
+    return IMPORTED_ID_PATTERN.test(externalId);
+  }
+  const end = `-${externalIdSuffix}`;
+  return externalId.endsWith(end) && IMPORTED_ID_PATTERN.test(externalId.slice(0, -end.length));
+}
+
+/**
+ * Same sign, and the smaller amount within `tolerance` (a fraction) of the larger one
+ */
+function amountsClose(a, b, tolerance) {
+  const centsA = toCents(a);
+  const centsB = toCents(b);
+  if (Math.sign(centsA) !== Math.sign(centsB)) {
+    return false;
+  }
+  return Math.abs(centsA - centsB) <= Math.max(Math.abs(centsA), Math.abs(centsB)) * tolerance;
+}
+
+/**
+ * Plan corrections for stale Lunch Money transactions.
+ *
+ * @param planned transactions about to be inserted (Lunch Money format)
+ * @param existing Lunch Money transactions covering the window (plus toleranceDays before it)
+ * @param options.accountTagId tag of the ICS account being synced; without it nothing is stale
+ * @param options.externalIdSuffix EXTERNAL_ID_SUFFIX of this run
+ * @param options.amountTolerance max difference between the old and settled amount,
+ *   as a fraction of the larger one
+ * @returns { corrections, remaining } - remaining is `planned` minus transactions
+ *   that will be written by updating a stale row instead of being inserted
+ */
+export function planReconciliation(planned, existing, {
+  fromDate,
+  untilDate,
+  accountTagId,
+  externalIdSuffix,
+  toleranceDays = 3,
+  amountTolerance = 0.2,
+}) {
+  if (!accountTagId) {
+    return { corrections: [], remaining: planned };
+  }
+
+  const plannedIds = new Set(planned.map((t) => `${t.manual_account_id}|${t.external_id}`));
+  const existingIds = new Set(
+    existing.filter((t) => t.external_id).map((t) => `${t.manual_account_id}|${t.external_id}`)
+  );
+
+  const stale = existing.filter((t) =>
+    isImportedId(t.external_id, externalIdSuffix) &&
+    (t.tag_ids || []).includes(accountTagId) &&
+    t.date >= fromDate &&
+    t.date <= untilDate &&
+    !plannedIds.has(`${t.manual_account_id}|${t.external_id}`)
+  );
+
+  const claimed = new Set();
+  const corrections = [];
+
+  for (const old of stale) {
+    const candidates = planned
+      .filter((t) =>
+        !claimed.has(t.external_id) &&
+        t.manual_account_id === old.manual_account_id &&
+        normalizePayee(t.payee) === normalizePayee(old.payee) &&
+        daysBetween(t.date, old.date) <= toleranceDays &&
+        // Two purchases at the same merchant must not collapse into one row
+        amountsClose(t.amount, old.amount, amountTolerance)
+      )
+      .sort((a, b) =>
+        daysBetween(a.date, old.date) - daysBetween(b.date, old.date) ||
+        Math.abs(toCents(a.amount) - toCents(old.amount)) - Math.abs(toCents(b.amount) - toCents(old.amount))
+      );
+
+    const current = candidates[0];
+    if (!current) {
+      continue;
+    }
+    claimed.add(current.external_id);
+
+    const correction = {
+      id: old.id,
+      payee: old.payee,
+      oldDate: old.date,
+      newDate: current.date,
+      oldAmount: Number(old.amount),
+      newAmount: current.amount,
+      oldExternalId: old.external_id,
+      newExternalId: current.external_id,
+    };
+
+    if (existingIds.has(`${current.manual_account_id}|${current.external_id}`)) {
+      // Settled transaction is already in Lunch Money - the old row is a leftover
+      corrections.push({ ...correction, action: 'delete' });
+    } else {
+      // Turn the old row into the settled transaction instead of inserting a new one
+      corrections.push({ ...correction, action: 'update' });
+    }
+  }
+
+  const updatedIds = new Set(
+    corrections.filter((c) => c.action === 'update').map((c) => c.newExternalId)
+  );
+  const remaining = planned.filter((t) => !updatedIds.has(t.external_id));
+
+  return { corrections, remaining };
+}
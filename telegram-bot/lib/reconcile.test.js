@@ -0,0 +1,65 @@
+import { describe, expect, test } from 'bun:test';
+import { planReconciliation } from './reconcile.js';
+
+const ACCOUNT_TAG = 7;
+const WINDOW = { fromDate: '2026-03-01', untilDate: '2026-03-31', accountTagId: ACCOUNT_TAG };
+
+function planned(overrides) {
+  return {
+    date: '2026-03-10',
+    payee: 'ALBERT HEIJN',
+    amount: -25,
+    manual_account_id: 1,
+    external_id: '2026-03-10-120000-100-1--25',
+    ...overrides,
+  };
+}
+
+function existingRow(overrides) {
+  return {
+    id: 1,
+    date: '2026-03-09',
+    payee: 'ALBERT HEIJN',
+    amount: '-24.00',
+    manual_account_id: 1,
+    external_id: '2026-03-09-120000-99-1--24',
+    tag_ids: [ACCOUNT_TAG],
+    ...overrides,
+  };
+}
+
+describe('planReconciliation', () => {
+  test('updates a stale row of the synced account', () => {
+    const { corrections, remaining } = planReconciliation([planned()], [existingRow()], WINDOW);
+    expect(corrections).toMatchObject([{ id: 1, action: 'update', newExternalId: planned().external_id }]);
+    expect(remaining).toEqual([]);
+  });
+
+  test('leaves rows without the account tag alone', () => {
+    const rows = [existingRow({ tag_ids: [] }), existingRow({ id: 2, tag_ids: [8] })];
+    expect(planReconciliation([planned()], rows, WINDOW).corrections).toEqual([]);
+    expect(planReconciliation([planned()], [existingRow()], { ...WINDOW, accountTagId: null }).corrections).toEqual([]);
+  });
+
+  test('only considers external_ids with the current suffix', () => {
+    const suffixed = existingRow({ external_id: '2026-03-09-120000-99-1--24-v2' });
+    expect(planReconciliation([planned()], [suffixed], WINDOW).corrections).toEqual([]);
+    expect(planReconciliation([planned()], [existingRow()], { ...WINDOW, externalIdSuffix: 'v2' }).corrections).toEqual([]);
+    expect(planReconciliation([planned()], [suffixed], { ...WINDOW, externalIdSuffix: 'v2' }).corrections).toHaveLength(1);
+  });
+
+  test('does not match purchases with a different amount', () => {
+    const current = planned({ external_id: '2026-03-10-120000-100-1--25' });
+    const other = existingRow({ amount: '-60.00', external_id: '2026-03-09-120000-99-1--60' });
+    // The settled transaction already exists: a different purchase must not be deleted
+    const settled = existingRow({ id: 3, date: '2026-03-10', amount: '-25.00', external_id: current.external_id });
+    expect(planReconciliation([current], [other, settled], WINDOW).corrections).toEqual([]);
+  });
+
+  test('deletes a leftover row when the settled transaction exists', () => {
+    const current = planned();
+    const settled = existingRow({ id: 3, date: '2026-03-10', amount: '-25.00', external_id: current.external_id });
+    const { corrections } = planReconciliation([current], [existingRow(), settled], WINDOW);
+    expect(corrections).toMatchObject([{ id: 1, action: 'delete' }]);
+  });
+});
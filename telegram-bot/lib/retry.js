@@ -0,0 +1,62 @@
+/**
+ * Retry policy for Lunch Money requests: exponential backoff with jitter that
+ * waits at least as long as the server asks for in Retry-After.
+ */
+
+// Rate limited or temporarily unavailable - worth another try
+export const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+// Give up instead of waiting longer than this for a Retry-After
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Retry-After header (seconds or an HTTP date) in milliseconds, or null
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) {
+    return null;
+  }
+  if (/^\d+$/.test(header.trim())) {
+    return parseInt(header, 10) * 1000;
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based), or null when Retry-After
+ * asks for longer than we are willing to wait
+ */
+export function retryDelay(attempt, retryAfterMs = null, random = Math.random) {
+  if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+    return null;
+  }
+  const backoff = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  // Jitter between half and the full backoff so parallel clients spread out
+  const jittered = Math.round(backoff * (0.5 + random() * 0.5));
+  return Math.max(jittered, retryAfterMs ?? 0);
+}
+
+/**
+ * Wait `ms`, or reject with the signal's reason as soon as it is aborted
+ * (a cancelled sync must not sit out a long Retry-After)
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,28 @@
+import { describe, expect, test } from 'bun:test';
+import { parseRetryAfter, retryDelay, sleep } from './retry.js';
+
+describe('retryDelay', () => {
+  test('waits at least as long as Retry-After asks for', () => {
+    expect(retryDelay(0, 30 * 1000, () => 0)).toBe(30 * 1000);
+    expect(parseRetryAfter('90')).toBe(90 * 1000);
+  });
+
+  test('gives up on a Retry-After over two minutes', () => {
+    expect(retryDelay(0, 2 * 60 * 1000, () => 0)).toBe(2 * 60 * 1000);
+    expect(retryDelay(0, 2 * 60 * 1000 + 1, () => 0)).toBeNull();
+  });
+});
+
+describe('sleep', () => {
+  test('rejects as soon as the signal is aborted', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 10);
+    await expect(sleep(60 * 1000, controller.signal)).rejects.toThrow();
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('rejects right away when already aborted', async () => {
+    await expect(sleep(60 * 1000, AbortSignal.abort())).rejects.toThrow();
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Cron-style scheduling for automatic syncs
+ * Supports the standard 5-field syntax: minute hour day-of-month month day-of-week
+ * with `*`, lists (`1,15`), ranges (`1-5`) and steps (`*\/15`, `0-30/10`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+// Never search further ahead than this for the next matching minute
+const MAX_SEARCH_YEARS = 5;
+
+function parseNumber(value, field, expression) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} "${value}" in schedule "${expression}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} ${number} out of range ${field.min}-${field.max} in schedule "${expression}"`);
+  }
+  return number;
+}
+
+function parseField(source, field, expression) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [rangePart, stepPart, ...extra] = part.split('/');
+    if (extra.length > 0) {
+      throw new Error(`Invalid ${field.name} step "${part}" in schedule "${expression}"`);
+    }
+    const step = stepPart === undefined ? 1 : parseNumber(stepPart, { ...field, min: 1 }, expression);
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const bounds = rangePart.split('-');
+      if (bounds.length !== 2) {
+        throw new Error(`Invalid ${field.name} range "${rangePart}" in schedule "${expression}"`);
+      }
+      const [from, to] = bounds;
+      start = parseNumber(from, field, expression);
+      end = parseNumber(to, field, expression);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${rangePart}" in schedule "${expression}"`);
+      }
+    } else {
+      start = parseNumber(rangePart, field, expression);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression. Throws with a user-readable message if invalid.
+ */
+export function parseCron(expression) {
+  const parts = (expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Schedule "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) =>
+    parseField(part, FIELDS[i], expression)
+  );
+
+  // Treat Sunday as 0 only
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression: parts.join(' '),
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: if both day fields are restricted, either may match. A field
+    // starting with `*` (also `*/2`) doesn't count as restricted.
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getDate());
+  const dowMatch = cron.daysOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the first time strictly after `after` that matches the schedule (local time)
+ */
+export function getNextRun(cron, after = new Date()) {
+  const next = new Date(after);
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = new Date(after);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (next <= limit) {
+    if (!cron.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+      continue;
+    }
+    return next;
+  }
+
+  return null;
+}
+
+/**
+ * Read persisted schedule state ({ expression, lastFiredAt }), or null if none saved
+ */
+export function readScheduleState(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export function writeScheduleState(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
@@ -0,0 +1,43 @@
+import { describe, expect, test } from 'bun:test';
+import { getNextRun, parseCron } from './scheduler.js';
+
+describe('parseCron', () => {
+  test('parses ranges, lists and steps', () => {
+    const cron = parseCron('0-30/10 8,20 * * 1-5');
+    expect([...cron.minutes]).toEqual([0, 10, 20, 30]);
+    expect([...cron.hours]).toEqual([8, 20]);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('rejects ranges with more than two bounds', () => {
+    expect(() => parseCron('0 8 * * 1-5-9')).toThrow('Invalid day of week range "1-5-9"');
+    expect(() => parseCron('1-5-9 8 * * *')).toThrow('Invalid minute range "1-5-9"');
+    expect(() => parseCron('0 8-12-/2 * * *')).toThrow('Invalid hour range "8-12-"');
+  });
+
+  test('rejects ranges with a missing bound', () => {
+    expect(() => parseCron('0 8- * * *')).toThrow('Invalid hour "" in schedule');
+    expect(() => parseCron('0 -8 * * *')).toThrow('Invalid hour "" in schedule');
+  });
+
+  test('rejects reversed ranges and repeated steps', () => {
+    expect(() => parseCron('0 12-8 * * *')).toThrow('Invalid hour range "12-8"');
+    expect(() => parseCron('*/5/2 * * * *')).toThrow('Invalid minute step "*/5/2"');
+  });
+});
+
+describe('getNextRun', () => {
+  test('a stepped day of month is not a restriction', () => {
+    const cron = parseCron('0 8 */2 * 1');
+    expect(cron.dayOfMonthRestricted).toBe(false);
+    // Thursday 2026-01-01: the next odd day that is a Monday is 2026-01-05
+    expect(getNextRun(cron, new Date(2026, 0, 1, 9, 0))).toEqual(new Date(2026, 0, 5, 8, 0));
+  });
+
+  test('either day field matches when both are restricted', () => {
+    const cron = parseCron('0 8 15 * 1');
+    // Monday 2026-01-05 comes before the 15th
+    expect(getNextRun(cron, new Date(2026, 0, 1, 9, 0))).toEqual(new Date(2026, 0, 5, 8, 0));
+    expect(getNextRun(cron, new Date(2026, 0, 13, 9, 0))).toEqual(new Date(2026, 0, 15, 8, 0));
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Credentials (bot token, ICS login, Lunch Money token, encryption keys) and
+ * where they come from. For each name the first source that has it wins:
+ *
+ * 1. `<NAME>_FILE` - path of a file holding the value
+ * 2. Docker secret - `/run/secrets/<name>` (lowercase or as is; SECRETS_DIR overrides the directory)
+ * 3. Encrypted secrets file - SECRETS_FILE, unlocked by SECRETS_KEY (itself from
+ *    SECRETS_KEY, SECRETS_KEY_FILE or /run/secrets/secrets_key); managed with scripts/secrets.js
+ * 4. The plain environment variable
+ *
+ * The sync script gets its secrets from the bot as plain variables (see
+ * buildChildEnv) and doesn't look anywhere else.
+ *
+ * Every loaded value is also registered for redaction, so logs never show it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readEncryptedJson } from './encrypted-store.js';
+
+export const SECRET_NAMES = [
+  'TOKEN',
+  'ICS_EMAIL',
+  'ICS_PASSWORD',
+  'LUNCHMONEY_TOKEN',
+  'SESSION_SECRET',
+  'RAW_ARCHIVE_SECRET',
+  'USERS_SECRET',
+  'WEBHOOK_SECRET',
+  'METRICS_TOKEN',
+];
+
+// What the sync script needs; the bot token and the bot's own keys stay in the bot
+export const SYNC_SECRET_NAMES = ['ICS_EMAIL', 'ICS_PASSWORD', 'LUNCHMONEY_TOKEN', 'SESSION_SECRET', 'RAW_ARCHIVE_SECRET'];
+
+const KEY_NAME = 'SECRETS_KEY';
+const REDACTED = '[REDACTED]';
+// Shorter values (e.g. "1") would redact half of every log line
+const MIN_REDACT_LENGTH = 4;
+
+const redactedValues = new Set();
+let loaded = null;
+
+function readSecretFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+function readFromFiles(name, env, secretsDir) {
+  if (env[`${name}_FILE`]) {
+    const value = readSecretFile(env[`${name}_FILE`]);
+    if (value === undefined) {
+      throw new Error(`${name}_FILE points to a missing file: ${env[`${name}_FILE`]}`);
+    }
+    return { value, source: 'file' };
+  }
+  for (const fileName of [name.toLowerCase(), name]) {
+    const value = readSecretFile(path.join(secretsDir, fileName));
+    if (value !== undefined) {
+      return { value, source: 'docker' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load all secrets. Returns { values, sources } (source per name: file, docker,
+ * encrypted or env). Throws if a configured source can't be read.
+ */
+export function loadSecrets({ env = process.env, secretsDir = env.SECRETS_DIR || '/run/secrets' } = {}) {
+  const values = {};
+  const sources = {};
+  const envOnly = env.SECRETS_SOURCE === 'env';
+
+  let encrypted = {};
+  if (env.SECRETS_FILE && !envOnly) {
+    const key = readFromFiles(KEY_NAME, env, secretsDir)?.value || env[KEY_NAME];
+    if (!key) {
+      throw new Error('SECRETS_FILE is set but SECRETS_KEY is missing');
+    }
+    try {
+      encrypted = readEncryptedJson(env.SECRETS_FILE, key) || {};
+    } catch (error) {
+      throw new Error(`Failed to decrypt ${env.SECRETS_FILE}: ${error.message}`);
+    }
+    registerSecretValue(key);
+  }
+
+  for (const name of SECRET_NAMES) {
+    const fromFile = envOnly ? null : readFromFiles(name, env, secretsDir);
+    if (fromFile) {
+      values[name] = fromFile.value;
+      sources[name] = fromFile.source;
+    } else if (encrypted[name]) {
+      values[name] = encrypted[name];
+      sources[name] = 'encrypted';
+    } else if (env[name]) {
+      values[name] = env[name];
+      sources[name] = 'env';
+    }
+    registerSecretValue(values[name]);
+  }
+
+  loaded = { values, sources };
+  return loaded;
+}
+
+/**
+ * Value of one secret (loads them on first use), undefined if it isn't set
+ */
+export function getSecret(name) {
+  return (loaded || loadSecrets()).values[name];
+}
+
+/**
+ * Pick secrets by name, leaving out the ones that aren't set
+ */
+export function pickSecrets(names) {
+  const picked = {};
+  for (const name of names) {
+    const value = getSecret(name);
+    if (value !== undefined) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
+
+/**
+ * Environment for a child process: `env` without any secret or the variables
+ * pointing to them, plus only the given secrets
+ */
+export function buildChildEnv(env, secrets) {
+  const childEnv = { ...env, SECRETS_SOURCE: 'env' };
+  for (const name of [...SECRET_NAMES, KEY_NAME]) {
+    delete childEnv[name];
+    delete childEnv[`${name}_FILE`];
+  }
+  delete childEnv.SECRETS_FILE;
+  return { ...childEnv, ...secrets };
+}
+
+/**
+ * Redact this value from logs too (e.g. credentials saved by /setup)
+ */
+export function registerSecretValue(value) {
+  if (typeof value === 'string' && value.length >= MIN_REDACT_LENGTH) {
+    redactedValues.add(value);
+  }
+}
+
+/**
+ * Replace every known secret value in a string, or in all strings of an object
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    let text = value;
+    for (const secret of redactedValues) {
+      text = text.split(secret).join(REDACTED);
+    }
+    return text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+  }
+  return value;
+}
@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeEncryptedJson } from './encrypted-store.js';
+import { buildChildEnv, loadSecrets, redact, registerSecretValue } from './secrets.js';
+
+describe('loadSecrets', () => {
+  let dir;
+  let secretsDir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+    secretsDir = path.join(dir, 'run-secrets');
+    fs.mkdirSync(secretsDir);
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeFile(name, value) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, `${value}\n`);
+    return filePath;
+  }
+
+  test('takes each secret from the first source that has it', () => {
+    const secretsFile = path.join(dir, 'secrets.enc');
+    writeEncryptedJson(secretsFile, {
+      ICS_EMAIL: 'encrypted-email',
+      ICS_PASSWORD: 'encrypted-password',
+      LUNCHMONEY_TOKEN: 'encrypted-token',
+    }, 'secrets-key');
+    fs.writeFileSync(path.join(secretsDir, 'ics_email'), 'docker-email\n');
+    fs.writeFileSync(path.join(secretsDir, 'TOKEN'), 'docker-token\n');
+
+    const { values, sources } = loadSecrets({
+      secretsDir,
+      env: {
+        TOKEN_FILE: writeFile('token', 'file-token'),
+        ICS_EMAIL: 'env-email',
+        ICS_PASSWORD: 'env-password',
+        SESSION_SECRET: 'env-session',
+        SECRETS_FILE: secretsFile,
+        SECRETS_KEY: 'secrets-key',
+      },
+    });
+
+    expect(values).toEqual({
+      TOKEN: 'file-token',
+      ICS_EMAIL: 'docker-email',
+      ICS_PASSWORD: 'encrypted-password',
+      LUNCHMONEY_TOKEN: 'encrypted-token',
+      SESSION_SECRET: 'env-session',
+    });
+    expect(sources).toEqual({
+      TOKEN: 'file',
+      ICS_EMAIL: 'docker',
+      ICS_PASSWORD: 'encrypted',
+      LUNCHMONEY_TOKEN: 'encrypted',
+      SESSION_SECRET: 'env',
+    });
+  });
+
+  test('fails when a _FILE variable points to a missing file', () => {
+    expect(() => loadSecrets({ secretsDir, env: { TOKEN_FILE: path.join(dir, 'missing') } }))
+      .toThrow('TOKEN_FILE points to a missing file');
+  });
+
+  test('fails when the secrets file can\'t be unlocked', () => {
+    const secretsFile = path.join(dir, 'secrets.enc');
+    writeEncryptedJson(secretsFile, { TOKEN: 'encrypted-token' }, 'secrets-key');
+
+    expect(() => loadSecrets({ secretsDir, env: { SECRETS_FILE: secretsFile } }))
+      .toThrow('SECRETS_KEY is missing');
+    expect(() => loadSecrets({ secretsDir, env: { SECRETS_FILE: secretsFile, SECRETS_KEY: 'wrong-key' } }))
+      .toThrow(`Failed to decrypt ${secretsFile}`);
+  });
+
+  test('only reads the environment when SECRETS_SOURCE=env', () => {
+    fs.writeFileSync(path.join(secretsDir, 'ics_email'), 'docker-email\n');
+    const { values, sources } = loadSecrets({
+      secretsDir,
+      env: {
+        SECRETS_SOURCE: 'env',
+        ICS_EMAIL: 'env-email',
+        ICS_PASSWORD_FILE: path.join(dir, 'missing'),
+        SECRETS_FILE: path.join(dir, 'missing.enc'),
+      },
+    });
+    expect(values).toEqual({ ICS_EMAIL: 'env-email' });
+    expect(sources).toEqual({ ICS_EMAIL: 'env' });
+  });
+});
+
+describe('buildChildEnv', () => {
+  test('passes only the given secrets and keeps the child to the environment', () => {
+    const env = buildChildEnv({
+      PATH: '/usr/bin',
+      TOKEN: 'bot-token',
+      USERS_SECRET: 'users-secret',
+      ICS_PASSWORD: 'owner-password',
+      ICS_PASSWORD_FILE: '/run/secrets/ics_password',
+      SECRETS_FILE: '/data/secrets.enc',
+      SECRETS_KEY: 'secrets-key',
+      SECRETS_KEY_FILE: '/run/secrets/secrets_key',
+    }, { ICS_PASSWORD: 'user-password' });
+
+    expect(env).toEqual({ PATH: '/usr/bin', SECRETS_SOURCE: 'env', ICS_PASSWORD: 'user-password' });
+    expect(loadSecrets({ env, secretsDir: '/nonexistent' }).values).toEqual({ ICS_PASSWORD: 'user-password' });
+  });
+});
+
+describe('redact', () => {
+  test('hides registered values in strings, arrays and objects', () => {
+    registerSecretValue('hunter22');
+    expect(redact('password hunter22 rejected')).toBe('password [REDACTED] rejected');
+    expect(redact({ error: ['hunter22'], code: 401, ok: null })).toEqual({ error: ['[REDACTED]'], code: 401, ok: null });
+  });
+
+  test('ignores values too short to redact', () => {
+    registerSecretValue('1');
+    registerSecretValue(undefined);
+    expect(redact('step 1 of 2')).toBe('step 1 of 2');
+  });
+});
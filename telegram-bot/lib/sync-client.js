@@ -0,0 +1,82 @@
+/**
+ * Runs the sync script and exposes its typed events (see sync-events.js).
+ *
+ * Emits:
+ * - 'event' for every event from the script
+ * - 'log' with raw stderr text (human-readable logs, for Docker logs)
+ * - 'exit' with { code, signal, result, error, stderrTail } once the script has exited;
+ *   `result` / `error` are the last result and error events, if any
+ * - 'spawn_error' when the script couldn't be started
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { EVENTS_FD, createEventParser } from './sync-events.js';
+
+// Keep this much stderr to report crashes that happen before any error event
+const STDERR_TAIL_LENGTH = 2000;
+// The script stops within ~10s of SIGTERM; kill it if it takes longer than this
+const CANCEL_KILL_TIMEOUT = 20000;
+
+export function startSync({ scriptPath, args = [], cwd, env = process.env }) {
+  const emitter = new EventEmitter();
+  const stdio = ['pipe', 'pipe', 'pipe'];
+  stdio[EVENTS_FD] = 'pipe';
+
+  const child = spawn('bun', ['run', scriptPath, ...args], {
+    cwd,
+    stdio,
+    env: { ...env, SYNC_EVENTS_FD: String(EVENTS_FD) },
+  });
+
+  let result = null;
+  let error = null;
+  let stderrTail = '';
+
+  child.stdio[EVENTS_FD].on('data', createEventParser(
+    (event) => {
+      if (event.type === 'result') {
+        result = event.result;
+      } else if (event.type === 'error') {
+        error = event;
+      }
+      emitter.emit('event', event);
+    },
+    (line) => emitter.emit('log', `Invalid sync event: ${line}`)
+  ));
+
+  child.stderr.on('data', (data) => {
+    const text = data.toString();
+    stderrTail = (stderrTail + text).slice(-STDERR_TAIL_LENGTH);
+    emitter.emit('log', text);
+  });
+
+  // The result is also printed to stdout for command-line use; the event is what counts here
+  child.stdout.resume();
+
+  // The script closes stdin once it stops waiting for an account choice
+  child.stdin.on('error', (stdinError) => {
+    emitter.emit('log', `Failed to write to sync script stdin: ${stdinError.message}`);
+  });
+
+  child.on('close', (code, signal) => {
+    emitter.emit('exit', { code, signal, result, error, stderrTail });
+  });
+
+  child.on('error', (spawnError) => {
+    emitter.emit('spawn_error', spawnError);
+  });
+
+  return {
+    pid: child.pid,
+    on: (name, listener) => emitter.on(name, listener),
+    // Answer an account_choice event
+    chooseAccount: (accountNumber) => child.stdin.write(`${accountNumber}\n`),
+    // Ask the script to stop (it reports a cancelled result), kill it if it doesn't
+    cancel: () => {
+      child.kill('SIGTERM');
+      const killTimer = setTimeout(() => child.kill('SIGKILL'), CANCEL_KILL_TIMEOUT);
+      child.once('close', () => clearTimeout(killTimer));
+    },
+  };
+}
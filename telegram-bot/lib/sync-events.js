@@ -0,0 +1,75 @@
+/**
+ * Typed events from the sync script to the bot, written as JSON lines to a
+ * dedicated file descriptor (SYNC_EVENTS_FD, set by the bot). Human-readable
+ * logs stay on stderr and the final result on stdout, so nothing has to be
+ * scraped from them.
+ *
+ * Every event has `type` and `time`. Types:
+ * - progress:       { step, message }
+ * - counts:         { step, accountNumber?, insertedCount, skippedCount, ... }
+ * - warning:        { step, message }
+ * - account_choice: { message, accounts } - the script then waits for a choice on stdin
+ * - result:         { result } - final result of a finished run; `result.cancelled` is
+ *                   true when the run was stopped with SIGTERM/SIGINT
+ * - error:          { code, message, step } - the run failed
+ * - metric:         { name, value, labels } - a measurement for the bot's /metrics
+ *                   (e.g. ics_sync_2fa_wait_seconds); unknown names are ignored
+ */
+
+import fs from 'fs';
+import { redact } from './secrets.js';
+
+// File descriptor the bot opens for events (stdin, stdout, stderr, events)
+export const EVENTS_FD = 3;
+
+const eventsFd = process.env.SYNC_EVENTS_FD ? parseInt(process.env.SYNC_EVENTS_FD, 10) : null;
+let eventsEnabled = Number.isInteger(eventsFd);
+
+/**
+ * Write one event; a no-op when the script isn't run by the bot
+ */
+export function emitEvent(type, payload = {}) {
+  if (!eventsEnabled) {
+    return;
+  }
+  try {
+    // Error messages can quote anything, e.g. a URL with a token
+    fs.writeSync(eventsFd, JSON.stringify(redact({ type, time: new Date().toISOString(), ...payload })) + '\n');
+  } catch (error) {
+    // Reader went away - keep syncing, just stop emitting
+    eventsEnabled = false;
+  }
+}
+
+/**
+ * Shorthand for a metric event
+ */
+export function emitMetric(name, value, labels = {}) {
+  emitEvent('metric', { name, value, labels });
+}
+
+/**
+ * Split a stream of JSONL chunks into parsed events
+ */
+export function createEventParser(onEvent, onInvalid = () => {}) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) {
+        continue;
+      }
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        onInvalid(line);
+        continue;
+      }
+      onEvent(event);
+    }
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Checkpoint journal of the latest sync run, so a failed run can be resumed.
+ * It records the accounts and date chunks the run was syncing, caches every
+ * fetched chunk (raw ICS JSON, encrypted like the ICS session) and the external
+ * IDs of batches Lunch Money confirmed. A resumed run reads cached chunks instead
+ * of fetching them - no ICS login when all of them are there - and doesn't send
+ * confirmed batches again.
+ *
+ * Layout: <dir>/journal.json and <dir>/chunks/<account>_<from>_<to>.enc
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readEncryptedJson, writeEncryptedJson } from './encrypted-store.js';
+
+const JOURNAL_FILE = 'journal.json';
+const CHUNKS_DIR = 'chunks';
+
+function chunkFile(dir, accountNumber, chunk) {
+  return path.join(dir, CHUNKS_DIR, `${accountNumber}_${chunk.from}_${chunk.to}.enc`);
+}
+
+function chunkKey(chunk) {
+  return `${chunk.from}_${chunk.to}`;
+}
+
+export function readJournal(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, JOURNAL_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function writeJournal(dir, journal) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Write and rename, so a run killed mid-write doesn't leave a broken journal
+  const filePath = path.join(dir, JOURNAL_FILE);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(journal, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * A run that failed, was cancelled or died before finishing
+ */
+export function isResumable(journal) {
+  return !!journal && journal.status !== 'completed';
+}
+
+/**
+ * Start a new run, dropping the previous run's journal and cached chunks.
+ * `targets` are the accounts to sync ({ accountNumber, accountName, assetId, balance }).
+ */
+export function startJournal(dir, targets) {
+  fs.rmSync(path.join(dir, CHUNKS_DIR), { recursive: true, force: true });
+  const journal = {
+    startedAt: new Date().toISOString(),
+    status: 'running',
+    tagId: null,
+    targets,
+    accounts: {},
+  };
+  writeJournal(dir, journal);
+  return journal;
+}
+
+/**
+ * Mark a resumed run as running again
+ */
+export function resumeJournal(dir, journal) {
+  journal.status = 'running';
+  journal.resumedAt = new Date().toISOString();
+  delete journal.error;
+  writeJournal(dir, journal);
+}
+
+/**
+ * Remember the import tag, so resumed batches get the same one
+ */
+export function recordTag(dir, journal, tagId) {
+  journal.tagId = tagId;
+  writeJournal(dir, journal);
+}
+
+/**
+ * Record the date window of an account: { fromDate, untilDate, mode, chunks: [{ from, to }] }
+ */
+export function recordWindow(dir, journal, accountNumber, window) {
+  journal.accounts[accountNumber] = { ...window, cached: [], confirmed: [], completed: false };
+  writeJournal(dir, journal);
+}
+
+/**
+ * Cache a fetched chunk
+ */
+export function recordChunk(dir, journal, accountNumber, chunk, transactions, secret) {
+  writeEncryptedJson(chunkFile(dir, accountNumber, chunk), transactions, secret);
+  journal.accounts[accountNumber].cached.push(chunkKey(chunk));
+  writeJournal(dir, journal);
+}
+
+/**
+ * Cached transactions of a chunk, or null if it wasn't fetched
+ */
+export function readCachedChunk(dir, journal, accountNumber, chunk, secret) {
+  if (!journal.accounts[accountNumber]?.cached.includes(chunkKey(chunk))) {
+    return null;
+  }
+  return readEncryptedJson(chunkFile(dir, accountNumber, chunk), secret);
+}
+
+/**
+ * Whether resuming needs ICS: an unfinished account without a window or with
+ * chunks that aren't cached yet
+ */
+export function needsFetch(journal) {
+  return journal.targets.some(({ accountNumber }) => {
+    const account = journal.accounts[accountNumber];
+    if (!account) {
+      return true;
+    }
+    return !account.completed && account.chunks.some((chunk) => !account.cached.includes(chunkKey(chunk)));
+  });
+}
+
+/**
+ * Record the external IDs of a batch Lunch Money accepted
+ */
+export function recordBatch(dir, journal, accountNumber, externalIds) {
+  journal.accounts[accountNumber].confirmed.push(...externalIds);
+  writeJournal(dir, journal);
+}
+
+export function getConfirmedIds(journal, accountNumber) {
+  return new Set(journal.accounts[accountNumber]?.confirmed || []);
+}
+
+export function completeAccount(dir, journal, accountNumber) {
+  journal.accounts[accountNumber].completed = true;
+  writeJournal(dir, journal);
+}
+
+export function isAccountCompleted(journal, accountNumber) {
+  return !!journal.accounts[accountNumber]?.completed;
+}
+
+/**
+ * Finish the run. A completed run's cached chunks are deleted; a failed one
+ * keeps them for resuming. `error` is { message, step } for failed runs.
+ */
+export function finishJournal(dir, journal, status, error = null) {
+  journal.status = status;
+  journal.finishedAt = new Date().toISOString();
+  if (error) {
+    journal.error = error;
+  }
+  if (status === 'completed') {
+    fs.rmSync(path.join(dir, CHUNKS_DIR), { recursive: true, force: true });
+  }
+  writeJournal(dir, journal);
+}
@@ -0,0 +1,63 @@
+/**
+ * Per-user sync queue: each user runs one sync at a time and further requests
+ * wait their turn; different users don't block each other.
+ */
+
+export function createSyncQueue() {
+  // userId -> { running, pending: [task] }
+  const queues = new Map();
+
+  const runNext = async (userId) => {
+    const queue = queues.get(userId);
+    const task = queue.pending.shift();
+    if (!task) {
+      queues.delete(userId);
+      return;
+    }
+
+    queue.running = true;
+    try {
+      await task();
+    } catch (error) {
+      // Tasks report their own errors; never let one stall the queue
+    }
+    queue.running = false;
+    runNext(userId);
+  };
+
+  return {
+    /**
+     * Whether a sync is running (or waiting) for the user
+     */
+    isBusy: (userId) => queues.has(userId),
+
+    /**
+     * Syncs running and waiting, over all users
+     */
+    counts: () => {
+      let running = 0;
+      let queued = 0;
+      for (const queue of queues.values()) {
+        running += queue.running ? 1 : 0;
+        queued += queue.pending.length;
+      }
+      return { running, queued };
+    },
+
+    /**
+     * Queue an async task; returns how many syncs are ahead of it (0 = starts now)
+     */
+    enqueue: (userId, task) => {
+      if (!queues.has(userId)) {
+        queues.set(userId, { running: false, pending: [] });
+      }
+      const queue = queues.get(userId);
+      const ahead = queue.pending.length + (queue.running ? 1 : 0);
+      queue.pending.push(task);
+      if (!queue.running && ahead === 0) {
+        runNext(userId);
+      }
+      return ahead;
+    },
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Ad-hoc sync ranges: `2026-01-01 2026-03-31`, `2026-01-01` (until today) or `90d`.
+ * The bot validates them before starting a sync and hands them to the sync
+ * script as `--from`/`--until` arguments, which the script validates again.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAYS_PATTERN = /^(\d+)d$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ICS only keeps a limited history; refuse ranges that are clearly too long
+export const MAX_RANGE_DAYS = 730;
+
+function formatDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDay(value) {
+  if (!DATE_PATTERN.test(value)) {
+    throw new Error(`Invalid date "${value}", use YYYY-MM-DD`);
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  // new Date() silently rolls 2026-02-30 over to March
+  if (formatDay(date) !== value) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  return date;
+}
+
+function validateRange(fromDate, untilDate, now) {
+  const today = formatDay(now);
+  if (fromDate > today) {
+    throw new Error(`Start date ${fromDate} is in the future`);
+  }
+  if (fromDate > untilDate) {
+    throw new Error(`Start date ${fromDate} is after end date ${untilDate}`);
+  }
+  if (untilDate > today) {
+    throw new Error(`End date ${untilDate} is in the future`);
+  }
+  const days = Math.round((parseDay(untilDate) - parseDay(fromDate)) / DAY_MS);
+  if (days > MAX_RANGE_DAYS) {
+    throw new Error(`Range of ${days} days is too long (max ${MAX_RANGE_DAYS})`);
+  }
+  return { fromDate, untilDate };
+}
+
+/**
+ * Range ending today that covers the last `days` days
+ */
+export function lastDaysRange(days, now = new Date()) {
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(`Invalid number of days "${days}"`);
+  }
+  const fromDate = new Date(now);
+  fromDate.setDate(fromDate.getDate() - days);
+  return validateRange(formatDay(fromDate), formatDay(now), now);
+}
+
+/**
+ * Parse `/sync` arguments into { fromDate, untilDate } (YYYY-MM-DD), throwing a
+ * user-facing error for anything invalid
+ */
+export function parseSyncRange(args, now = new Date()) {
+  if (args.length === 1 && DAYS_PATTERN.test(args[0])) {
+    return lastDaysRange(parseInt(args[0].match(DAYS_PATTERN)[1], 10), now);
+  }
+  if (args.length === 1 || args.length === 2) {
+    const fromDate = args[0];
+    const untilDate = args[1] || formatDay(now);
+    parseDay(fromDate);
+    parseDay(untilDate);
+    return validateRange(fromDate, untilDate, now);
+  }
+  throw new Error('Expected a range like "2026-01-01 2026-03-31", "2026-01-01" or "90d"');
+}
+
+/**
+ * Script arguments for a range
+ */
+export function rangeToArgs(range) {
+  return ['--from', range.fromDate, '--until', range.untilDate];
+}
+
+/**
+ * Range from script arguments (`--from`, `--until`, `--days`), or null when none were given
+ */
+export function rangeFromArgs(argv, now = new Date()) {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    if (index === -1) {
+      return undefined;
+    }
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return value;
+  };
+
+  const from = valueOf('--from');
+  const until = valueOf('--until');
+  const days = valueOf('--days');
+
+  if (days !== undefined) {
+    if (from !== undefined || until !== undefined) {
+      throw new Error('Use either --days or --from/--until, not both');
+    }
+    if (!/^\d+$/.test(days)) {
+      throw new Error(`Invalid --days value "${days}"`);
+    }
+    return lastDaysRange(parseInt(days, 10), now);
+  }
+  if (from === undefined) {
+    if (until !== undefined) {
+      throw new Error('--until needs --from');
+    }
+    return null;
+  }
+  return parseSyncRange(until === undefined ? [from] : [from, until], now);
+}
@@ -0,0 +1,63 @@
+import { describe, expect, test } from 'bun:test';
+import { MAX_RANGE_DAYS, lastDaysRange, parseSyncRange, rangeFromArgs, rangeToArgs } from './sync-range.js';
+
+const NOW = new Date(2026, 2, 15, 12, 0);
+
+describe('parseSyncRange', () => {
+  test('parses a date range', () => {
+    expect(parseSyncRange(['2026-01-01', '2026-03-01'], NOW)).toEqual({ fromDate: '2026-01-01', untilDate: '2026-03-01' });
+  });
+
+  test('runs a single date until today', () => {
+    expect(parseSyncRange(['2026-03-01'], NOW)).toEqual({ fromDate: '2026-03-01', untilDate: '2026-03-15' });
+  });
+
+  test('parses a number of days', () => {
+    expect(parseSyncRange(['7d'], NOW)).toEqual({ fromDate: '2026-03-08', untilDate: '2026-03-15' });
+    expect(parseSyncRange(['90D'], NOW)).toEqual({ fromDate: '2025-12-15', untilDate: '2026-03-15' });
+  });
+
+  test('rejects invalid dates', () => {
+    expect(() => parseSyncRange(['2026-1-1'], NOW)).toThrow('Invalid date "2026-1-1", use YYYY-MM-DD');
+    expect(() => parseSyncRange(['2026-02-30'], NOW)).toThrow('Invalid date "2026-02-30"');
+    expect(() => parseSyncRange(['0d'], NOW)).toThrow('Invalid number of days');
+  });
+
+  test('rejects reversed and future ranges', () => {
+    expect(() => parseSyncRange(['2026-03-01', '2026-02-01'], NOW)).toThrow('Start date 2026-03-01 is after end date 2026-02-01');
+    expect(() => parseSyncRange(['2026-03-16'], NOW)).toThrow('Start date 2026-03-16 is in the future');
+    expect(() => parseSyncRange(['2026-03-01', '2026-03-16'], NOW)).toThrow('End date 2026-03-16 is in the future');
+  });
+
+  test('rejects ranges that are too long', () => {
+    expect(() => parseSyncRange(['2023-01-01', '2026-01-01'], NOW)).toThrow(`(max ${MAX_RANGE_DAYS})`);
+    expect(() => lastDaysRange(MAX_RANGE_DAYS + 1, NOW)).toThrow('too long');
+  });
+
+  test('rejects the wrong number of arguments', () => {
+    expect(() => parseSyncRange([], NOW)).toThrow('Expected a range');
+    expect(() => parseSyncRange(['2026-01-01', '2026-02-01', '2026-03-01'], NOW)).toThrow('Expected a range');
+  });
+});
+
+describe('rangeFromArgs', () => {
+  test('round-trips rangeToArgs', () => {
+    const range = { fromDate: '2026-01-01', untilDate: '2026-03-01' };
+    expect(rangeFromArgs(['sync', ...rangeToArgs(range)], NOW)).toEqual(range);
+  });
+
+  test('returns null without range flags', () => {
+    expect(rangeFromArgs(['sync', '--dry-run'], NOW)).toBeNull();
+  });
+
+  test('parses --days', () => {
+    expect(rangeFromArgs(['--days', '30'], NOW)).toEqual({ fromDate: '2026-02-13', untilDate: '2026-03-15' });
+  });
+
+  test('rejects conflicting or incomplete flags', () => {
+    expect(() => rangeFromArgs(['--days', '7', '--from', '2026-01-01'], NOW)).toThrow('Use either --days or --from/--until');
+    expect(() => rangeFromArgs(['--until', '2026-01-01'], NOW)).toThrow('--until needs --from');
+    expect(() => rangeFromArgs(['--from', '--dry-run'], NOW)).toThrow('Missing value for --from');
+    expect(() => rangeFromArgs(['--days', 'ten'], NOW)).toThrow('Invalid --days value "ten"');
+  });
+});
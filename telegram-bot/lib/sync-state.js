@@ -0,0 +1,70 @@
+/**
+ * Persisted sync state: the latest successfully synced ICS transaction per account
+ * ("high-water mark"), used to fetch only new transactions on the next run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function sortKey(transaction) {
+  return `${transaction.transactionDate}T${transaction.processingTime || '00:00:00'}`;
+}
+
+export function readSyncState(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { accounts: {} };
+    }
+    throw error;
+  }
+}
+
+export function writeSyncState(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Latest transaction (by transactionDate + processingTime), or null for an empty list
+ */
+export function getHighWaterMark(transactions) {
+  let latest = null;
+  for (const transaction of transactions) {
+    if (!transaction.transactionDate) {
+      continue;
+    }
+    if (!latest || sortKey(transaction) > sortKey(latest)) {
+      latest = transaction;
+    }
+  }
+  return latest
+    ? { transactionDate: latest.transactionDate, processingTime: latest.processingTime || null }
+    : null;
+}
+
+/**
+ * Record a new high-water mark for an account, never moving it backwards
+ */
+export function updateHighWaterMark(state, accountNumber, mark) {
+  const accounts = { ...(state.accounts || {}) };
+  const current = accounts[accountNumber];
+
+  if (mark && (!current || sortKey(mark) > sortKey(current))) {
+    accounts[accountNumber] = { ...mark, syncedAt: new Date().toISOString() };
+  } else if (current) {
+    accounts[accountNumber] = { ...current, syncedAt: new Date().toISOString() };
+  }
+
+  return { ...state, accounts };
+}
+
+/**
+ * Whether a window starting at `fromDate` (YYYY-MM-DD) connects to the account's
+ * high-water mark, i.e. starts on or before it
+ */
+export function reachesHighWaterMark(state, accountNumber, fromDate) {
+  const current = state.accounts?.[accountNumber];
+  return !!current && fromDate <= current.transactionDate;
+}
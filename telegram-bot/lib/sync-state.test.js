@@ -0,0 +1,95 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getHighWaterMark,
+  reachesHighWaterMark,
+  readSyncState,
+  updateHighWaterMark,
+  writeSyncState,
+} from './sync-state.js';
+
+const MARK = { transactionDate: '2026-03-10', processingTime: '120000' };
+
+describe('getHighWaterMark', () => {
+  test('picks the latest transaction by date and processing time', () => {
+    const transactions = [
+      { transactionDate: '2026-03-10', processingTime: '090000' },
+      { transactionDate: '2026-03-10', processingTime: '120000' },
+      { transactionDate: '2026-03-09', processingTime: '235959' },
+      { description: 'no date' },
+    ];
+    expect(getHighWaterMark(transactions)).toEqual(MARK);
+  });
+
+  test('is null without transactions', () => {
+    expect(getHighWaterMark([])).toBeNull();
+  });
+});
+
+describe('updateHighWaterMark', () => {
+  test('moves the mark forward', () => {
+    const state = updateHighWaterMark({ accounts: {} }, '123', MARK);
+    expect(state.accounts['123']).toMatchObject(MARK);
+
+    const later = updateHighWaterMark(state, '123', { transactionDate: '2026-03-12', processingTime: null });
+    expect(later.accounts['123'].transactionDate).toBe('2026-03-12');
+  });
+
+  test('never moves the mark backwards', () => {
+    const state = updateHighWaterMark({ accounts: {} }, '123', MARK);
+    const older = updateHighWaterMark(state, '123', { transactionDate: '2026-01-01', processingTime: '000000' });
+    expect(older.accounts['123']).toMatchObject(MARK);
+    expect(updateHighWaterMark(state, '123', null).accounts['123']).toMatchObject(MARK);
+  });
+
+  test('keeps other accounts', () => {
+    const state = updateHighWaterMark({ accounts: { '456': MARK } }, '123', MARK);
+    expect(Object.keys(state.accounts).sort()).toEqual(['123', '456']);
+  });
+});
+
+describe('reachesHighWaterMark', () => {
+  const state = { accounts: { '123': MARK } };
+
+  test('windows starting on or before the mark connect to it', () => {
+    expect(reachesHighWaterMark(state, '123', '2026-03-01')).toBe(true);
+    expect(reachesHighWaterMark(state, '123', '2026-03-10')).toBe(true);
+  });
+
+  test('windows starting after the mark would leave a gap', () => {
+    expect(reachesHighWaterMark(state, '123', '2026-03-11')).toBe(false);
+  });
+
+  test('accounts without a mark are never reached', () => {
+    expect(reachesHighWaterMark(state, '456', '2026-01-01')).toBe(false);
+    expect(reachesHighWaterMark({}, '123', '2026-01-01')).toBe(false);
+  });
+});
+
+describe('readSyncState', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('is empty when the file is missing', () => {
+    expect(readSyncState(path.join(dir, 'sync-state.json'))).toEqual({ accounts: {} });
+  });
+
+  test('reads what writeSyncState wrote', () => {
+    const filePath = path.join(dir, 'nested', 'sync-state.json');
+    writeSyncState(filePath, { accounts: { '123': MARK } });
+    expect(readSyncState(filePath)).toEqual({ accounts: { '123': MARK } });
+  });
+
+  test('throws on a corrupt file', () => {
+    const filePath = path.join(dir, 'sync-state.json');
+    fs.writeFileSync(filePath, '{"accounts":');
+    expect(() => readSyncState(filePath)).toThrow();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Maps ICS transactions to Lunch Money v2 transactions: signed amount,
+ * normalized payee, notes and the external_id used for deduplication.
+ *
+ * Only imports payee-rules.js, so bookmarklet/build.js can inline both into the
+ * bookmarklet. Card routes and categories are passed in as lookups because
+ * their loaders read files.
+ */
+
+import { normalizePayee } from './payee-rules.js';
+
+/**
+ * Raw transaction as returned by the ICS transactionsv3 search endpoint
+ * (see docs/ics-transaction-fields.md; only the fields used here are listed).
+ *
+ * @typedef {object} IcsTransaction
+ * @property {string} transactionDate          YYYY-MM-DD
+ * @property {string} [processingTime]         HHmmss
+ * @property {string} description
+ * @property {number|string} billingAmount     negative for charges, positive for refunds
+ * @property {string} [billingCurrency]
+ * @property {number|string} [sourceAmount]
+ * @property {string} [sourceCurrency]
+ * @property {number|string} batchNr
+ * @property {number|string} batchSequenceNr
+ * @property {string} [lastFourDigits]
+ * @property {string} [embossingName]
+ * @property {string} [merchantCategoryCode]
+ * @property {string} [merchantCategoryCodeDescription]
+ */
+
+/**
+ * Transaction for POST /v2/transactions
+ *
+ * @typedef {object} LunchMoneyTransaction
+ * @property {string} date
+ * @property {string} payee
+ * @property {number} amount                   negative for expenses
+ * @property {number} [category_id]
+ * @property {number} manual_account_id
+ * @property {number[]} tag_ids
+ * @property {string} notes
+ * @property {string} external_id
+ * @property {'unreviewed'} status
+ */
+
+/**
+ * @typedef {object} MapOptions
+ * @property {number} assetId                  Lunch Money manual account of the ICS account
+ * @property {number|null} [tagId]             import tag added to every transaction
+ * @property {number|null} [accountTagId]      tag of the ICS account, added to every transaction
+ * @property {Array} [payeeRules]              compiled payee rules (see compilePayeeRules)
+ * @property {string} [externalIdSuffix]       appended to external_id to force a reimport
+ * @property {(transaction: IcsTransaction) => { assetId?: number, tags: string[] } | null} [findRoute]
+ *                                             card route of a transaction, if any
+ * @property {Map<string, number>} [routeTagIds] Lunch Money tag IDs of the route tag names
+ * @property {(transaction: IcsTransaction) => number | undefined} [findCategoryId]
+ *                                             Lunch Money category of a transaction, if any
+ */
+
+/**
+ * external_id of an ICS transaction: date, processing time, batch and amount,
+ * so a pending transaction that settles with another batch or amount gets a new one
+ *
+ * @param {IcsTransaction} transaction
+ * @param {string} [suffix]
+ * @returns {string}
+ */
+export function buildExternalId(transaction, suffix) {
+  const t = transaction;
+  const baseId = `${t.transactionDate}-${t.processingTime || '000000'}-${t.batchNr}-${t.batchSequenceNr}-${t.billingAmount}`;
+  return suffix ? `${baseId}-${suffix}` : baseId;
+}
+
+/**
+ * Notes: the original description when payee rules changed it, and the
+ * amount in the original currency
+ *
+ * @param {IcsTransaction} transaction
+ * @param {string} payee
+ * @returns {string}
+ */
+export function buildNotes(transaction, payee) {
+  const t = transaction;
+  const noteParts = [];
+  if (payee !== (t.description || '').toUpperCase()) {
+    noteParts.push(t.description.trim());
+  }
+  if (t.sourceCurrency && t.sourceCurrency !== t.billingCurrency) {
+    noteParts.push(`Original: ${t.sourceAmount} ${t.sourceCurrency}`);
+  }
+  return noteParts.join(' | ');
+}
+
+/**
+ * @param {IcsTransaction} transaction
+ * @param {MapOptions} options
+ * @returns {LunchMoneyTransaction}
+ */
+export function mapTransaction(transaction, {
+  assetId,
+  tagId = null,
+  accountTagId = null,
+  payeeRules = [],
+  externalIdSuffix,
+  findRoute = () => null,
+  routeTagIds = new Map(),
+  findCategoryId = () => undefined,
+}) {
+  // ICS billingAmount already matches the Lunch Money convention:
+  // negative = charge/expense, positive = refund/income
+  const amount = parseFloat(transaction.billingAmount);
+
+  // Uppercase, so skip_duplicates (date+payee+amount) catches duplicates even
+  // when the bank changes casing between fetches
+  const payee = normalizePayee(transaction.description, payeeRules);
+  const route = findRoute(transaction);
+  const categoryId = findCategoryId(transaction);
+
+  return {
+    date: transaction.transactionDate,
+    payee,
+    amount,
+    // Lunch Money rules (apply_rules) still run after insert and may override it
+    ...(categoryId && { category_id: categoryId }),
+    manual_account_id: route?.assetId ?? assetId,
+    // No tag IDs in dry runs, where tags are never created
+    tag_ids: [tagId, accountTagId, ...(route?.tags || []).map((name) => routeTagIds.get(name))].filter(Boolean),
+    notes: buildNotes(transaction, payee),
+    external_id: buildExternalId(transaction, externalIdSuffix),
+    status: 'unreviewed',
+  };
+}
+
+/**
+ * @param {IcsTransaction[]} transactions
+ * @param {MapOptions} options
+ * @returns {LunchMoneyTransaction[]}
+ */
+export function mapTransactions(transactions, options) {
+  return transactions.map((transaction) => mapTransaction(transaction, options));
+}
@@ -0,0 +1,151 @@
+/**
+ * Bot users: the allow-list (USER_ID plus ALLOWED_USERS) and each user's own
+ * ICS credentials, Lunch Money token and account mapping, kept encrypted in
+ * DATA_DIR/users.enc.
+ *
+ * The owner (USER_ID) can keep using the credentials from the environment;
+ * everyone else has to go through /setup first.
+ */
+
+import path from 'path';
+import { readEncryptedJson, writeEncryptedJson } from './encrypted-store.js';
+
+const ACCOUNT_MAP_PATTERN = /^\d+:\d+(,\d+:\d+)*$/;
+
+// Owner settings from the environment that must not apply to other users' syncs:
+// the session key, account mapping, files with the owner's Lunch Money category
+// names and payee preferences, settings that change or delete rows in the
+// owner's budget, and paths outside the user's data directory
+const OWNER_ONLY_ENV = [
+  'SESSION_SECRET',
+  'ICS_ACCOUNT_NUMBER',
+  'ICS_ACCOUNT_MAP',
+  'LUNCHMONEY_ASSET_ID',
+  'CARD_ROUTES_FILE',
+  'CATEGORY_MAP_FILE',
+  'PAYEE_RULES_FILE',
+  'EXTERNAL_ID_SUFFIX',
+  'RECONCILE_PENDING',
+  'RECONCILE_DAYS',
+  'RECONCILE_AMOUNT_TOLERANCE',
+  'BALANCE_CHECK',
+  'BALANCE_UPDATE',
+  'RAW_ARCHIVE_DIR',
+];
+
+/**
+ * Allowed Telegram user IDs: the owner plus a comma-separated list
+ */
+export function parseAllowedUsers(ownerId, allowedUsers) {
+  const ids = new Set([String(ownerId)]);
+  for (const id of String(allowedUsers || '').split(',')) {
+    if (id.trim()) {
+      ids.add(id.trim());
+    }
+  }
+  return ids;
+}
+
+/**
+ * Per-user configs in an encrypted file, cached after the first read
+ */
+export function createUserStore(filePath, secret) {
+  let users = null;
+
+  const load = () => {
+    if (!users) {
+      users = readEncryptedJson(filePath, secret) || {};
+    }
+    return users;
+  };
+
+  return {
+    get: (userId) => load()[userId] || null,
+    set: (userId, config) => {
+      const updated = { ...load(), [userId]: { ...config, updatedAt: new Date().toISOString() } };
+      writeEncryptedJson(filePath, updated, secret);
+      users = updated;
+    },
+    remove: (userId) => {
+      const { [userId]: removed, ...rest } = load();
+      writeEncryptedJson(filePath, rest, secret);
+      users = rest;
+      return !!removed;
+    },
+  };
+}
+
+/**
+ * Directory for a user's sync state, ICS session, account choice and history.
+ * The owner keeps using DATA_DIR itself so existing state carries over.
+ */
+export function getUserDataDir(dataDir, userId, ownerId) {
+  return String(userId) === String(ownerId) ? dataDir : path.join(dataDir, 'users', String(userId));
+}
+
+/**
+ * Environment for a user's sync script: the base environment with the user's
+ * credentials and account mapping, or unchanged when the user has no config
+ */
+export function buildUserSyncEnv(baseEnv, config, dataDir) {
+  const env = { ...baseEnv, DATA_DIR: dataDir };
+  if (!config) {
+    return env;
+  }
+
+  env.ICS_EMAIL = config.icsEmail;
+  env.ICS_PASSWORD = config.icsPassword;
+  env.LUNCHMONEY_TOKEN = config.lunchmoneyToken;
+  for (const name of OWNER_ONLY_ENV) {
+    delete env[name];
+  }
+  if (config.accountMap) {
+    env.ICS_ACCOUNT_MAP = config.accountMap;
+  } else {
+    env.LUNCHMONEY_ASSET_ID = String(config.assetId);
+  }
+  return env;
+}
+
+/**
+ * Questions asked by /setup, in order. `parse` returns the fields to store or
+ * throws a user-facing error; `secret` replies are deleted from the chat.
+ */
+export const SETUP_STEPS = [
+  {
+    prompt: 'Send the email address you use to log into ICS.',
+    parse: (text) => {
+      if (!/^\S+@\S+\.\S+$/.test(text)) {
+        throw new Error('That doesn\'t look like an email address.');
+      }
+      return { icsEmail: text };
+    },
+  },
+  {
+    prompt: 'Send your ICS password. The message is deleted right after it is read.',
+    secret: true,
+    parse: (text) => ({ icsPassword: text }),
+  },
+  {
+    prompt: 'Send your Lunch Money API token (https://my.lunchmoney.app/developers). The message is deleted right after it is read.',
+    secret: true,
+    parse: (text) => {
+      if (text.length < 10 || /\s/.test(text)) {
+        throw new Error('That doesn\'t look like a Lunch Money token.');
+      }
+      return { lunchmoneyToken: text };
+    },
+  },
+  {
+    prompt: 'Send the Lunch Money asset ID to sync into, or map several ICS accounts to assets like 81420000001:251231,81420000002:251232',
+    parse: (text) => {
+      if (/^\d+$/.test(text)) {
+        return { assetId: parseInt(text, 10), accountMap: null };
+      }
+      if (ACCOUNT_MAP_PATTERN.test(text)) {
+        return { assetId: null, accountMap: text };
+      }
+      throw new Error('Send a numeric asset ID or account:assetId pairs separated by commas.');
+    },
+  },
+];
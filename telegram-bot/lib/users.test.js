@@ -0,0 +1,83 @@
+import { describe, expect, test } from 'bun:test';
+import { buildUserSyncEnv, getUserDataDir, parseAllowedUsers } from './users.js';
+
+const OWNER_ENV = {
+  PATH: '/usr/bin',
+  DATA_DIR: '/data',
+  ICS_EMAIL: 'owner@example.com',
+  ICS_PASSWORD: 'owner-password',
+  LUNCHMONEY_TOKEN: 'owner-token',
+  SESSION_SECRET: 'owner-session',
+  ICS_ACCOUNT_NUMBER: '111',
+  ICS_ACCOUNT_MAP: '111:1',
+  LUNCHMONEY_ASSET_ID: '1',
+  CARD_ROUTES_FILE: '/config/cards.json',
+  CATEGORY_MAP_FILE: '/config/categories.json',
+  PAYEE_RULES_FILE: '/config/payees.json',
+  EXTERNAL_ID_SUFFIX: 'owner',
+  RECONCILE_PENDING: 'true',
+  RECONCILE_DAYS: '10',
+  RECONCILE_AMOUNT_TOLERANCE: '0.5',
+  BALANCE_CHECK: 'true',
+  BALANCE_UPDATE: 'true',
+  RAW_ARCHIVE_DIR: '/data/raw',
+  SYNC_DAYS: '30',
+};
+
+const USER_CONFIG = {
+  icsEmail: 'user@example.com',
+  icsPassword: 'user-password',
+  lunchmoneyToken: 'user-token',
+  assetId: 42,
+};
+
+describe('buildUserSyncEnv', () => {
+  test('leaves the environment as is without a user config', () => {
+    expect(buildUserSyncEnv(OWNER_ENV, null, '/data')).toEqual(OWNER_ENV);
+  });
+
+  test('uses the user\'s credentials and data directory', () => {
+    const env = buildUserSyncEnv(OWNER_ENV, USER_CONFIG, '/data/users/7');
+    expect(env).toMatchObject({
+      DATA_DIR: '/data/users/7',
+      ICS_EMAIL: 'user@example.com',
+      ICS_PASSWORD: 'user-password',
+      LUNCHMONEY_TOKEN: 'user-token',
+      LUNCHMONEY_ASSET_ID: '42',
+    });
+  });
+
+  test('drops the owner\'s settings and keeps shared ones', () => {
+    const env = buildUserSyncEnv(OWNER_ENV, USER_CONFIG, '/data/users/7');
+    expect(Object.keys(env).sort()).toEqual([
+      'DATA_DIR', 'ICS_EMAIL', 'ICS_PASSWORD', 'LUNCHMONEY_ASSET_ID', 'LUNCHMONEY_TOKEN', 'PATH', 'SYNC_DAYS',
+    ]);
+    expect(Object.values(env).join()).not.toContain('owner');
+  });
+
+  test('uses the user\'s account map instead of an asset', () => {
+    const env = buildUserSyncEnv(OWNER_ENV, { ...USER_CONFIG, accountMap: '222:2' }, '/data/users/7');
+    expect(env.ICS_ACCOUNT_MAP).toBe('222:2');
+    expect(env).not.toHaveProperty('LUNCHMONEY_ASSET_ID');
+  });
+
+  test('does not change the base environment', () => {
+    const base = { ...OWNER_ENV };
+    buildUserSyncEnv(base, USER_CONFIG, '/data/users/7');
+    expect(base).toEqual(OWNER_ENV);
+  });
+});
+
+describe('parseAllowedUsers', () => {
+  test('includes the owner and trims the list', () => {
+    expect([...parseAllowedUsers(1, ' 2, ,3 ')]).toEqual(['1', '2', '3']);
+    expect([...parseAllowedUsers('1', undefined)]).toEqual(['1']);
+  });
+});
+
+describe('getUserDataDir', () => {
+  test('keeps the owner in DATA_DIR and others in a subdirectory', () => {
+    expect(getUserDataDir('/data', 1, '1')).toBe('/data');
+    expect(getUserDataDir('/data', 2, '1')).toBe('/data/users/2');
+  });
+});
@@ -3,6 +3,8 @@
  * Provides consistent, structured logging with timestamps and context
  */
 
+import { redact } from './lib/secrets.js';
+
 const LOG_LEVELS = {
   DEBUG: 0,
   INFO: 1,
@@ -18,7 +20,8 @@ function formatTimestamp() {
   return new Date().toISOString();
 }
 
-// Simple text format for better readability in Docker logs
+// Simple text format for better readability in Docker logs.
+// Secret values are redacted (e.g. the bot token in Telegram API error URLs).
 function formatLog(level, message, context = {}) {
   const timestamp = formatTimestamp();
   const contextStr = Object.keys(context).length > 0 
@@ -27,7 +30,7 @@ function formatLog(level, message, context = {}) {
         .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
         .join(' ')
     : '';
-  return `${timestamp} [${level}] ${message}${contextStr}`;
+  return redact(`${timestamp} [${level}] ${message}${contextStr}`);
 }
 
 const logger = {
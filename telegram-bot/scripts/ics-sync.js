@@ -0,0 +1,379 @@
+#!/usr/bin/env bun
+
+/**
+ * ics-sync - command-line interface to the ICS to Lunch Money sync
+ *
+ *   ics-sync login                 log in to ICS (2FA) and save the session
+ *   ics-sync accounts              list the ICS accounts
+ *   ics-sync fetch                 print raw ICS transactions as JSON
+ *   ics-sync push --input <file>   send raw ICS transactions (fetch output) to Lunch Money
+ *   ics-sync replay                send archived ICS transactions again (push --archive)
+ *   ics-sync sync                  fetch and send, like the bot
+ *   ics-sync export                print transactions as Lunch Money would get them (CSV or JSON)
+ *
+ * Settings come from the environment, as for the bot. Results go to stdout (or
+ * --output), logs to stderr. Run `ics-sync --help` for the flags.
+ */
+
+import fs from "fs";
+import { parseArgs } from "util";
+import { rangeFromArgs } from "../lib/sync-range.js";
+import { emitEvent } from "../lib/sync-events.js";
+import { redact } from "../lib/secrets.js";
+import {
+  loadConfig,
+  configure,
+  installProcessHandlers,
+  openIcsSession,
+  fetchRawTransactions,
+  transformTransactions,
+  sync,
+} from "./sync-transactions.js";
+
+const RANGE_FLAGS = ["from", "until", "days"];
+
+// Flags and output formats (the first one is the default) of each command
+const COMMANDS = {
+  login: { flags: ["format"], formats: ["text", "json"] },
+  accounts: { flags: ["format", "output"], formats: ["text", "json", "csv"] },
+  fetch: { flags: [...RANGE_FLAGS, "account", "archive", "output"], formats: ["json"] },
+  push: {
+    flags: [...RANGE_FLAGS, "account", "asset", "dry-run", "input", "archive", "format", "output"],
+    formats: ["json", "text"],
+  },
+  replay: { flags: [...RANGE_FLAGS, "account", "asset", "dry-run", "format", "output"], formats: ["json", "text"] },
+  sync: {
+    flags: [...RANGE_FLAGS, "account", "asset", "dry-run", "full", "resume", "pick-account", "format", "output"],
+    formats: ["json", "text"],
+  },
+  export: { flags: [...RANGE_FLAGS, "account", "asset", "input", "archive", "format", "output"], formats: ["csv", "json"] },
+};
+
+const OPTIONS = {
+  from: { type: "string" },
+  until: { type: "string" },
+  days: { type: "string" },
+  account: { type: "string" },
+  asset: { type: "string" },
+  "dry-run": { type: "boolean" },
+  full: { type: "boolean" },
+  resume: { type: "boolean" },
+  "pick-account": { type: "boolean" },
+  input: { type: "string" },
+  archive: { type: "boolean" },
+  format: { type: "string" },
+  output: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const USAGE = `Usage: ics-sync <command> [flags]
+
+Commands:
+  login      Log in to ICS (2FA) and save the session
+  accounts   List the ICS accounts
+  fetch      Print raw ICS transactions as JSON
+  push       Send raw ICS transactions to Lunch Money (--input or --archive)
+  replay     Send archived ICS transactions again (same as push --archive)
+  sync       Fetch from ICS and send to Lunch Money, like the bot
+  export     Print transactions as Lunch Money would get them
+
+Flags:
+  --from <YYYY-MM-DD> [--until <YYYY-MM-DD>] | --days <n>
+                     Date range (default: the SYNC_DAYS window; sync continues
+                     from the last synced transaction)
+  --account <number> ICS account (default: ICS_ACCOUNT_NUMBER or all mapped accounts)
+  --asset <id>       Lunch Money asset for the account (overrides ICS_ACCOUNT_MAP)
+  --dry-run          Compare with Lunch Money instead of writing (push, replay, sync)
+  --full             Ignore the last synced transaction (sync)
+  --resume           Continue the last failed sync (sync)
+  --pick-account     Ask the bot which account to sync (sync, used by the bot)
+  --input <file>     Raw ICS transactions - fetch output or a plain array of
+                     transactions with --account; "-" reads stdin (push, export)
+  --archive          Read the raw archive instead of ICS (fetch, push, export)
+  --format <format>  accounts: text|json|csv, login/push/replay/sync: json|text,
+                     export: csv|json
+  --output <file>    Write the output to a file instead of stdout`;
+
+/**
+ * Report a configuration/argument error and exit before anything is launched
+ */
+function failValidation(message) {
+  console.error(
+    JSON.stringify(redact({
+      success: false,
+      error: message,
+      step: "validation",
+    }))
+  );
+  emitEvent("error", { code: "validation", message, step: "validation" });
+  process.exit(1);
+}
+
+/**
+ * Report a failed command (sync() reports its own failures) and exit
+ */
+function failCommand(error) {
+  const step = error.step || "unknown";
+  console.error(JSON.stringify(redact({ success: false, error: error.message, step })));
+  emitEvent("error", { code: step, message: error.message, step });
+  process.exit(step === "cancelled" ? 130 : 1);
+}
+
+function parseCommandLine(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    failValidation(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const [command, ...extra] = positionals;
+  if (!command) {
+    failValidation(`Missing command - expected one of: ${Object.keys(COMMANDS).join(", ")}`);
+  }
+  if (!COMMANDS[command]) {
+    failValidation(`Unknown command "${command}" - expected one of: ${Object.keys(COMMANDS).join(", ")}`);
+  }
+  if (extra.length > 0) {
+    failValidation(`Unexpected argument "${extra[0]}"`);
+  }
+
+  const { flags, formats } = COMMANDS[command];
+  for (const flag of Object.keys(values)) {
+    if (!flags.includes(flag)) {
+      failValidation(`--${flag} can't be used with ${command}`);
+    }
+  }
+
+  const format = values.format || formats[0];
+  if (!formats.includes(format)) {
+    failValidation(`Invalid --format "${format}" for ${command} - expected ${formats.join(" or ")}`);
+  }
+  if (command === "push" && !values.input === !values.archive) {
+    failValidation("push needs either --input <file> or --archive");
+  }
+  if (values.input && values.archive) {
+    failValidation("Use either --input or --archive, not both");
+  }
+
+  // The same flags the bot passes, so rangeFromArgs validates them the same way
+  let range;
+  try {
+    range = rangeFromArgs(RANGE_FLAGS.flatMap((flag) => (values[flag] !== undefined ? [`--${flag}`, values[flag]] : [])));
+  } catch (error) {
+    failValidation(`Invalid sync range: ${error.message}`);
+  }
+
+  return { command, values, format, range };
+}
+
+function fromToDates(transactions) {
+  const dates = transactions.map((t) => t.transactionDate).filter(Boolean).sort();
+  return { fromDate: dates[0], untilDate: dates[dates.length - 1] };
+}
+
+/**
+ * Input entries ([{ accountNumber, fromDate, untilDate, transactions }]) from
+ * `fetch` output or a plain array of raw ICS transactions of one account
+ */
+function readInput(filePath, account) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath === "-" ? 0 : filePath, "utf8"));
+  } catch (error) {
+    failValidation(`Invalid input ${filePath === "-" ? "on stdin" : filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(data)) {
+    failValidation("Input must be a JSON array of fetch entries or ICS transactions");
+  }
+
+  const isFetchOutput = data.length > 0 && data.every((entry) => entry && Array.isArray(entry.transactions));
+  if (!isFetchOutput) {
+    if (!account) {
+      failValidation("Input is a plain list of transactions - pass --account or set ICS_ACCOUNT_NUMBER");
+    }
+    return checkInputDates([{ accountNumber: account, ...fromToDates(data), transactions: data }]);
+  }
+
+  return checkInputDates(data.map((entry) => {
+    if (!entry.accountNumber) {
+      failValidation("Every input entry needs an accountNumber");
+    }
+    return {
+      accountNumber: String(entry.accountNumber),
+      ...fromToDates(entry.transactions),
+      ...(entry.fromDate && { fromDate: entry.fromDate }),
+      ...(entry.untilDate && { untilDate: entry.untilDate }),
+      transactions: entry.transactions,
+    };
+  }));
+}
+
+function checkInputDates(entries) {
+  const empty = entries.find((entry) => !entry.fromDate || !entry.untilDate);
+  if (empty) {
+    failValidation(`No transactions for account ${empty.accountNumber} in the input`);
+  }
+  return entries;
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(csvValue).join(","))
+    .join("\n");
+}
+
+function formatSyncResult(result) {
+  if (result.cancelled) {
+    return "Sync cancelled";
+  }
+  const lines = [
+    result.message,
+    `Transactions found: ${result.transactionsCount}`,
+    `Inserted: ${result.insertedCount ?? 0}`,
+    `Skipped (duplicates): ${result.skippedCount ?? 0}`,
+  ];
+  if (result.fromDate) {
+    lines.push(`Period: ${result.fromDate} to ${result.untilDate}${result.syncMode ? ` (${result.syncMode})` : ""}`);
+  }
+  if (result.warning) {
+    lines.push(`Warning: ${result.warning}`);
+  }
+  return lines.join("\n");
+}
+
+const commands = {
+  async login({ format }) {
+    const client = await openIcsSession();
+    try {
+      await client.saveSession();
+    } finally {
+      await client.close();
+    }
+    const { sessionRestored } = client;
+    const result = { success: true, sessionRestored };
+    return format === "json"
+      ? JSON.stringify(result, null, 2)
+      : sessionRestored ? "The saved ICS session is still valid" : "Logged in to ICS, session saved";
+  },
+
+  async accounts({ format }) {
+    const client = await openIcsSession();
+    let accounts;
+    try {
+      accounts = (await client.getAccounts()).map((account) => ({
+        accountNumber: account.accountNumber,
+        accountName: account.accountName || account.productName || null,
+        balance: account.balance ?? null,
+      }));
+      await client.saveSession();
+    } finally {
+      await client.close();
+    }
+    if (format === "json") {
+      return JSON.stringify(accounts, null, 2);
+    }
+    if (format === "csv") {
+      return toCsv(["accountNumber", "accountName", "balance"], accounts);
+    }
+    return accounts
+      .map((account) => [account.accountNumber, account.accountName, account.balance].filter((v) => v !== null).join("  "))
+      .join("\n");
+  },
+
+  async fetch() {
+    return JSON.stringify(await fetchRawTransactions(), null, 2);
+  },
+
+  async push(options) {
+    return commands.sync(options);
+  },
+
+  async replay(options) {
+    return commands.sync(options);
+  },
+
+  async sync({ format }) {
+    const result = await sync();
+    if (!result.success && !result.cancelled) {
+      // Already reported to stderr and as an error event
+      process.exit(1);
+    }
+    if (result.cancelled) {
+      process.exitCode = 130;
+    }
+    return format === "text" ? formatSyncResult(result) : JSON.stringify(redact(result));
+  },
+
+  async export({ format }) {
+    const entries = await fetchRawTransactions();
+    const rows = entries.flatMap((entry) =>
+      transformTransactions(entry.transactions, null, entry.assetId, entry.accountNumber).map((t) => ({
+        account: entry.accountNumber,
+        ...t,
+      }))
+    );
+    if (format === "json") {
+      return JSON.stringify(rows, null, 2);
+    }
+    return toCsv(["date", "payee", "amount", "notes", "account", "manual_account_id", "category_id", "external_id"], rows);
+  },
+};
+
+/**
+ * Run a command line (without the `bun` and script arguments)
+ */
+export async function runCli(args) {
+  const { command, values, format, range } = parseCommandLine(args);
+
+  let options;
+  try {
+    const input = values.input ? readInput(values.input, values.account || process.env.ICS_ACCOUNT_NUMBER) : null;
+    options = loadConfig(command === "replay" ? "push" : command, {
+      range,
+      account: values.account,
+      asset: values.asset,
+      dryRun: values["dry-run"],
+      full: values.full,
+      resume: values.resume,
+      pickAccount: values["pick-account"],
+      archive: command === "replay" || values.archive,
+      input,
+    });
+  } catch (error) {
+    failValidation(error.message);
+  }
+  configure(options);
+  installProcessHandlers();
+
+  let output;
+  try {
+    output = await commands[command]({ format });
+  } catch (error) {
+    failCommand(error);
+  }
+
+  if (values.output) {
+    fs.writeFileSync(values.output, `${output}\n`);
+  } else {
+    console.log(output);
+  }
+  if (process.exitCode) {
+    process.exit(process.exitCode);
+  }
+}
+
+if (import.meta.main) {
+  runCli(process.argv.slice(2));
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env bun
+
+/**
+ * Manage the encrypted secrets file read by lib/secrets.js
+ *
+ * Needs SECRETS_FILE and SECRETS_KEY (or SECRETS_KEY_FILE). Usage:
+ *   bun run scripts/secrets.js set ICS_PASSWORD    # value is read from stdin
+ *   bun run scripts/secrets.js unset ICS_PASSWORD
+ *   bun run scripts/secrets.js list                # names only, never values
+ */
+
+import fs from "fs";
+import { readEncryptedJson, writeEncryptedJson } from "../lib/encrypted-store.js";
+import { SECRET_NAMES } from "../lib/secrets.js";
+
+const USAGE = "Usage: bun run scripts/secrets.js set <NAME> | unset <NAME> | list";
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const SECRETS_FILE = process.env.SECRETS_FILE;
+const SECRETS_KEY = process.env.SECRETS_KEY_FILE
+  ? fs.readFileSync(process.env.SECRETS_KEY_FILE, "utf8").trim()
+  : process.env.SECRETS_KEY;
+
+if (!SECRETS_FILE || !SECRETS_KEY) {
+  fail("SECRETS_FILE and SECRETS_KEY (or SECRETS_KEY_FILE) must be set");
+}
+
+const [command, name] = process.argv.slice(2);
+
+let secrets;
+try {
+  secrets = readEncryptedJson(SECRETS_FILE, SECRETS_KEY) || {};
+} catch (error) {
+  fail(`Failed to decrypt ${SECRETS_FILE}: ${error.message}`);
+}
+
+if (command === "list") {
+  const names = Object.keys(secrets);
+  console.log(names.length > 0 ? names.join("\n") : "(no secrets)");
+  process.exit(0);
+}
+
+if (!["set", "unset"].includes(command) || !name) {
+  fail(USAGE);
+}
+if (!SECRET_NAMES.includes(name)) {
+  fail(`Unknown secret ${name}, expected one of: ${SECRET_NAMES.join(", ")}`);
+}
+
+if (command === "set") {
+  const value = fs.readFileSync(0, "utf8").trim();
+  if (!value) {
+    fail(`No value for ${name} on stdin`);
+  }
+  secrets[name] = value;
+} else {
+  delete secrets[name];
+}
+
+writeEncryptedJson(SECRETS_FILE, secrets, SECRETS_KEY);
+console.log(`${command === "set" ? "Saved" : "Removed"} ${name} in ${SECRETS_FILE}`);
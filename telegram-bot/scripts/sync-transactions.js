@@ -8,51 +8,384 @@
  * 2. Wait for 2FA confirmation
  * 3. Fetch transactions for configured period
  * 4. Sync transactions to Lunch Money
+ *
+ * ICS and Lunch Money requests go through lib/ics-client.js and
+ * lib/lunchmoney-client.js, the mapping through lib/transaction-mapper.js.
+ *
+ * The steps are exported for scripts/ics-sync.js and other callers; call
+ * configure() first (with loadConfig() to read the environment). Run directly,
+ * it does the same as `ics-sync sync`.
  */
 
-import puppeteer from "puppeteer-core";
-
-// Read environment variables
-const ICS_EMAIL = process.env.ICS_EMAIL;
-const ICS_PASSWORD = process.env.ICS_PASSWORD;
-const ICS_ACCOUNT_NUMBER = process.env.ICS_ACCOUNT_NUMBER; // Optional - will auto-detect if not set
-const LUNCHMONEY_TOKEN = process.env.LUNCHMONEY_TOKEN;
-const LUNCHMONEY_ASSET_ID = process.env.LUNCHMONEY_ASSET_ID;
-const SYNC_DAYS_STR = process.env.SYNC_DAYS;
-const SYNC_DAYS = SYNC_DAYS_STR ? parseInt(SYNC_DAYS_STR) : null;
-
-// Validate required environment variables
-const requiredVars = {
-  ICS_EMAIL,
-  ICS_PASSWORD,
-  LUNCHMONEY_TOKEN,
-  LUNCHMONEY_ASSET_ID,
-  SYNC_DAYS: SYNC_DAYS_STR, // Validate as string before parsing
-};
+import path from "path";
+import fs from "fs";
+import {
+  readSyncState,
+  writeSyncState,
+  getHighWaterMark,
+  updateHighWaterMark,
+  reachesHighWaterMark,
+} from "../lib/sync-state.js";
+import { loadCardRoutes, findCardRoute, getRouteTagNames } from "../lib/card-routes.js";
+import { previewTransactions } from "../lib/preview.js";
+import { planReconciliation } from "../lib/reconcile.js";
+import { loadCategoryMap, findCategoryName, getCategoryNames } from "../lib/category-map.js";
+import { compilePayeeRules } from "../lib/payee-rules.js";
+import { emitEvent, emitMetric } from "../lib/sync-events.js";
+import { loadSecrets, redact } from "../lib/secrets.js";
+import { IcsClient } from "../lib/ics-client.js";
+import { LunchMoneyClient } from "../lib/lunchmoney-client.js";
+import { mapTransactions } from "../lib/transaction-mapper.js";
+import {
+  readJournal,
+  isResumable,
+  startJournal,
+  resumeJournal,
+  recordTag,
+  recordWindow,
+  recordChunk,
+  readCachedChunk,
+  needsFetch,
+  recordBatch,
+  getConfirmedIds,
+  completeAccount,
+  isAccountCompleted,
+  finishJournal,
+} from "../lib/sync-journal.js";
+import { archiveChunk, listArchivedAccounts, pruneArchive, readArchivedTransactions } from "../lib/raw-archive.js";
+
+// Settings - set by configure(), usually with options from loadConfig()
+let ICS_EMAIL;
+let ICS_PASSWORD;
+let LUNCHMONEY_TOKEN;
+let DATA_DIR;
+let SYNC_DAYS_PARSED;
+// [{ accountNumber, assetId }] from ICS_ACCOUNT_MAP, or null for a single account
+let accountMap;
+// Lunch Money asset of the single account (without an account map)
+let assetId;
+// Per-card / per-cardholder routing rules
+let cardRoutes;
+// Merchant category (MCC) to Lunch Money category mapping
+let categoryMap;
+// Payee cleanup rules (shared with the bookmarklet)
+let payeeRules;
+// Incremental sync: re-fetch this many days before the last synced transaction
+let SYNC_OVERLAP_DAYS;
+// Only `sync` starts from the saved high-water mark; other commands fetch the range or SYNC_DAYS window
+let INCREMENTAL;
+// --full ignores the saved high-water mark and fetches the whole SYNC_DAYS window
+let FULL_SYNC;
+// --from/--until (or --days) sync an explicit date range instead
+let SYNC_RANGE;
+// Dry run: fetch and transform, then compare with Lunch Money instead of writing anything
+let DRY_RUN;
+// Fix up Lunch Money rows left behind when ICS settles a transaction with another amount/batch
+let RECONCILE_PENDING;
+let RECONCILE_DAYS;
+let RECONCILE_AMOUNT_TOLERANCE;
+// Compare the ICS account balance with the Lunch Money manual account after syncing
+let BALANCE_CHECK;
+// Also set the Lunch Money balance to the ICS balance when they differ
+let BALANCE_UPDATE;
+// Retries per Lunch Money batch on 429/5xx and network errors (backoff with jitter)
+let LUNCHMONEY_MAX_RETRIES;
+let SYNC_STATE_FILE;
+// --resume continues the last failed run from its checkpoint journal (see lib/sync-journal.js)
+let RESUME;
+let JOURNAL_DIR;
+// With RAW_ARCHIVE=true every fetched ICS chunk is kept, encrypted, for replays (see lib/raw-archive.js)
+let RAW_ARCHIVE;
+let RAW_ARCHIVE_DIR;
+let RAW_ARCHIVE_MAX_AGE_DAYS;
+// Key of the archive files; its own secret so changing the ICS password or SESSION_SECRET keeps them readable
+let RAW_ARCHIVE_SECRET;
+let rawArchivePruned = false;
+// Where transactions come from: "ics", "archive" (replays) or "input" (raw ICS transactions
+// handed in as [{ accountNumber, fromDate, untilDate, transactions }], see INPUT_ENTRIES)
+let SOURCE;
+let INPUT_ENTRIES;
+// --pick-account: with several accounts and no ICS_ACCOUNT_NUMBER, ask the bot which one to sync
+let ACCOUNT_PICKER;
+let ACCOUNT_CHOICE_FILE;
+const ACCOUNT_PICK_TIMEOUT = 5 * 60 * 1000;
+// Saved ICS session (cookies + XSRF token), encrypted with SESSION_SECRET or the ICS password
+let SESSION_REUSE;
+let SESSION_FILE;
+let SESSION_SECRET;
 
-for (const [key, value] of Object.entries(requiredVars)) {
-  if (!value || (typeof value === "string" && value.includes("your_"))) {
-    console.error(
-      JSON.stringify({
-        success: false,
-        error: `Missing or invalid environment variable: ${key}`,
-        step: "validation",
-      })
-    );
-    process.exit(1);
-  }
+// Variables to be determined during runtime
+let accountNumber = null;
+// Checkpoint journal of this run (only for syncs from ICS that write to Lunch Money)
+let journal = null;
+// Lunch Money API client, created by configure()
+let lunchMoney = null;
+
+// Cancellation (SIGTERM/SIGINT from the bot's Cancel button)
+let cancelRequested = false;
+let cancelReported = false;
+let activeClient = null;
+// Stops Lunch Money retries waiting on cancel
+const cancelController = new AbortController();
+// Lunch Money requests or an account choice don't depend on the browser; stop waiting after this
+const CANCEL_GRACE_MS = 10000;
+
+// Commands (see ics-sync.js) that log in to ICS unless they read the archive or input,
+// and the ones that write to Lunch Money
+const ICS_COMMANDS = ["login", "accounts", "fetch", "sync", "export"];
+const LUNCHMONEY_COMMANDS = ["push", "sync"];
+
+/**
+ * Parse ICS_ACCOUNT_MAP ("81420000001:251231,81420000002:251232")
+ * into [{ accountNumber, assetId }]
+ */
+function parseAccountMap(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [account, asset] = entry.split(":").map((part) => part?.trim());
+      const parsedAsset = parseInt(asset, 10);
+      if (!account || !asset || !/^\d+$/.test(asset)) {
+        throw new Error(
+          `Invalid ICS_ACCOUNT_MAP entry "${entry}" - expected <icsAccountNumber>:<lunchMoneyAssetId>`
+        );
+      }
+      return { accountNumber: account, assetId: parsedAsset };
+    });
 }
 
-// Parse SYNC_DAYS after validation
-const SYNC_DAYS_PARSED = SYNC_DAYS || 30;
+/**
+ * Options for configure() from the environment and command-line flags.
+ * Credentials can also come from files or Docker secrets (see lib/secrets.js).
+ * Throws an error with step "validation" for missing or invalid settings.
+ *
+ * @param command  login | accounts | fetch | push | sync | export
+ * @param flags    { range, account, asset, dryRun, full, resume, pickAccount, archive, input } -
+ *                 `range` as returned by rangeFromArgs, `input` as described for INPUT_ENTRIES
+ */
+export function loadConfig(command, flags = {}, env = process.env) {
+  const invalid = (message) => Object.assign(new Error(message), { step: "validation" });
+
+  let secrets;
+  try {
+    secrets = loadSecrets({ env }).values;
+  } catch (error) {
+    throw invalid(error.message);
+  }
+
+  const source = flags.input ? "input" : flags.archive ? "archive" : "ics";
+  const assetValue = flags.asset ?? env.LUNCHMONEY_ASSET_ID;
+  // --asset syncs a single account, even with an account map
+  const accountMapValue = flags.asset ? null : env.ICS_ACCOUNT_MAP;
 
-// Variables to be determined during runtime
-let accountNumber = ICS_ACCOUNT_NUMBER;
-const assetId = parseInt(LUNCHMONEY_ASSET_ID);
+  // Validate required environment variables
+  const requiredVars = {};
+  if (ICS_COMMANDS.includes(command) && source === "ics") {
+    requiredVars.ICS_EMAIL = secrets.ICS_EMAIL;
+    requiredVars.ICS_PASSWORD = secrets.ICS_PASSWORD;
+  }
+  if (LUNCHMONEY_COMMANDS.includes(command)) {
+    requiredVars.LUNCHMONEY_TOKEN = secrets.LUNCHMONEY_TOKEN;
+    // A single asset is only needed when no account map is configured
+    if (!accountMapValue) {
+      requiredVars.LUNCHMONEY_ASSET_ID = assetValue;
+    }
+  }
+  if (command === "sync") {
+    requiredVars.SYNC_DAYS = env.SYNC_DAYS; // Validate as string before parsing
+  }
+  if (env.RAW_ARCHIVE === "true" || source === "archive") {
+    requiredVars.RAW_ARCHIVE_SECRET = secrets.RAW_ARCHIVE_SECRET;
+  }
+  for (const [key, value] of Object.entries(requiredVars)) {
+    if (!value || (typeof value === "string" && value.includes("your_"))) {
+      throw invalid(`Missing or invalid environment variable: ${key}`);
+    }
+  }
+  if (assetValue && !/^\d+$/.test(String(assetValue))) {
+    throw invalid(`Invalid Lunch Money asset ID "${assetValue}"`);
+  }
+
+  const account = flags.account || env.ICS_ACCOUNT_NUMBER || null;
+  let accountMap = null;
+  if (accountMapValue) {
+    try {
+      accountMap = parseAccountMap(accountMapValue);
+      if (accountMap.length === 0) {
+        throw new Error("ICS_ACCOUNT_MAP is set but contains no accounts");
+      }
+    } catch (error) {
+      throw invalid(error.message);
+    }
+    // --account picks one of the mapped accounts
+    if (flags.account) {
+      accountMap = accountMap.filter((mapped) => mapped.accountNumber === flags.account);
+      if (accountMap.length === 0) {
+        throw invalid(`Account ${flags.account} is not in ICS_ACCOUNT_MAP - pass --asset for it`);
+      }
+    }
+  }
+
+  let cardRoutes = [];
+  if (env.CARD_ROUTES_FILE) {
+    try {
+      cardRoutes = loadCardRoutes(env.CARD_ROUTES_FILE);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+  }
+
+  let categoryMap = new Map();
+  if (env.CATEGORY_MAP_FILE) {
+    try {
+      categoryMap = loadCategoryMap(env.CATEGORY_MAP_FILE);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+  }
+
+  let payeeRules = [];
+  if (env.PAYEE_RULES_FILE) {
+    try {
+      payeeRules = compilePayeeRules(JSON.parse(fs.readFileSync(env.PAYEE_RULES_FILE, "utf8")));
+    } catch (error) {
+      throw invalid(`Invalid payee rules in ${env.PAYEE_RULES_FILE}: ${error.message}`);
+    }
+  }
+
+  const dataDir = env.DATA_DIR || "./data";
+  const dryRun = env.DRY_RUN === "true" || !!flags.dryRun;
+  if (flags.resume && (dryRun || flags.full || flags.range || source !== "ics")) {
+    throw invalid("--resume can't be combined with replay, --dry-run, --full or a date range");
+  }
+  if (flags.resume && !isResumable(readJournal(path.join(dataDir, "sync-journal")))) {
+    throw invalid("Nothing to resume: the last sync didn't fail");
+  }
+
+  return {
+    icsEmail: secrets.ICS_EMAIL,
+    icsPassword: secrets.ICS_PASSWORD,
+    lunchMoneyToken: secrets.LUNCHMONEY_TOKEN,
+    accountNumber: account,
+    assetId: assetValue ? parseInt(assetValue, 10) : null,
+    accountMap,
+    cardRoutes,
+    categoryMap,
+    payeeRules,
+    dataDir,
+    syncDays: parseInt(env.SYNC_DAYS, 10) || 30,
+    syncOverlapDays: parseInt(env.SYNC_OVERLAP_DAYS || "3", 10),
+    incremental: command === "sync",
+    fullSync: !!flags.full,
+    range: flags.range || null,
+    dryRun,
+    reconcilePending: env.RECONCILE_PENDING === "true",
+    reconcileDays: parseInt(env.RECONCILE_DAYS || "3", 10),
+    reconcileAmountTolerance: parseFloat(env.RECONCILE_AMOUNT_TOLERANCE || "20") / 100,
+    balanceCheck: env.BALANCE_CHECK === "true",
+    balanceUpdate: env.BALANCE_UPDATE === "true",
+    lunchMoneyMaxRetries: parseInt(env.LUNCHMONEY_MAX_RETRIES || "4", 10),
+    resume: !!flags.resume,
+    rawArchive: env.RAW_ARCHIVE === "true",
+    rawArchiveDir: env.RAW_ARCHIVE_DIR || null,
+    rawArchiveMaxAgeDays: parseInt(env.RAW_ARCHIVE_MAX_AGE_DAYS || "365", 10),
+    rawArchiveSecret: secrets.RAW_ARCHIVE_SECRET || null,
+    source,
+    input: flags.input || null,
+    accountPicker: !!flags.pickAccount,
+    sessionReuse: env.ICS_SESSION_REUSE !== "false",
+    sessionSecret: secrets.SESSION_SECRET || null,
+  };
+}
 
-// ICS Bank base URL
-const ICS_BASE_URL = "https://www.icscards.nl";
-const LUNCHMONEY_API_URL = "https://api.lunchmoney.dev/v2/transactions";
+// What configure() uses for options that aren't given
+const DEFAULT_OPTIONS = {
+  accountNumber: null,
+  assetId: null,
+  accountMap: null,
+  cardRoutes: [],
+  categoryMap: new Map(),
+  payeeRules: [],
+  dataDir: "./data",
+  syncDays: 30,
+  syncOverlapDays: 3,
+  incremental: false,
+  fullSync: false,
+  range: null,
+  dryRun: false,
+  reconcilePending: false,
+  reconcileDays: 3,
+  reconcileAmountTolerance: 0.2,
+  balanceCheck: false,
+  balanceUpdate: false,
+  lunchMoneyMaxRetries: 4,
+  resume: false,
+  rawArchive: false,
+  rawArchiveDir: null,
+  rawArchiveMaxAgeDays: 365,
+  rawArchiveSecret: null,
+  source: "ics",
+  input: null,
+  accountPicker: false,
+  sessionReuse: true,
+  sessionSecret: null,
+};
+
+/**
+ * Apply settings before calling anything else in this module. Takes the options
+ * returned by loadConfig(); library callers can pass their own (see DEFAULT_OPTIONS).
+ */
+export function configure(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  ICS_EMAIL = settings.icsEmail;
+  ICS_PASSWORD = settings.icsPassword;
+  LUNCHMONEY_TOKEN = settings.lunchMoneyToken;
+  accountNumber = settings.accountNumber;
+  assetId = settings.assetId;
+  accountMap = settings.accountMap;
+  cardRoutes = settings.cardRoutes;
+  categoryMap = settings.categoryMap;
+  payeeRules = settings.payeeRules;
+  DATA_DIR = settings.dataDir;
+  SYNC_DAYS_PARSED = settings.syncDays;
+  SYNC_OVERLAP_DAYS = settings.syncOverlapDays;
+  INCREMENTAL = settings.incremental;
+  FULL_SYNC = settings.fullSync;
+  SYNC_RANGE = settings.range;
+  DRY_RUN = settings.dryRun;
+  RECONCILE_PENDING = settings.reconcilePending;
+  RECONCILE_DAYS = settings.reconcileDays;
+  RECONCILE_AMOUNT_TOLERANCE = settings.reconcileAmountTolerance;
+  BALANCE_CHECK = settings.balanceCheck;
+  BALANCE_UPDATE = settings.balanceUpdate;
+  LUNCHMONEY_MAX_RETRIES = settings.lunchMoneyMaxRetries;
+  RESUME = settings.resume;
+  RAW_ARCHIVE = settings.rawArchive;
+  RAW_ARCHIVE_MAX_AGE_DAYS = settings.rawArchiveMaxAgeDays;
+  RAW_ARCHIVE_SECRET = settings.rawArchiveSecret;
+  SOURCE = settings.source;
+  INPUT_ENTRIES = settings.input;
+  ACCOUNT_PICKER = settings.accountPicker;
+  SESSION_REUSE = settings.sessionReuse;
+  SESSION_SECRET = settings.sessionSecret || ICS_PASSWORD;
+
+  SYNC_STATE_FILE = path.join(DATA_DIR, "sync-state.json");
+  JOURNAL_DIR = path.join(DATA_DIR, "sync-journal");
+  RAW_ARCHIVE_DIR = settings.rawArchiveDir || path.join(DATA_DIR, "raw-archive");
+  ACCOUNT_CHOICE_FILE = path.join(DATA_DIR, "account-choice.json");
+  SESSION_FILE = path.join(DATA_DIR, "ics-session.enc");
+
+  journal = null;
+  lunchMoney = new LunchMoneyClient({
+    token: LUNCHMONEY_TOKEN,
+    maxRetries: LUNCHMONEY_MAX_RETRIES,
+    signal: cancelController.signal,
+    logger: LOGGER,
+    onMetric: emitMetric,
+  });
+}
 
 /**
  * Simple text logging for sync script (Bun-friendly)
@@ -71,14 +404,14 @@ function formatLog(level, step, message, context = {}) {
   }
   
   const contextStr = contextParts.length > 0 ? ' | ' + contextParts.join(' ') : '';
-  return `${timestamp} [${level}] ${step}: ${message}${contextStr}`;
+  return redact(`${timestamp} [${level}] ${step}: ${message}${contextStr}`);
 }
 
 function logInfo(step, message, context = {}) {
   console.error(formatLog('INFO', step, message, context));
   
-  // Also log as JSON for bot parsing (backward compatibility)
-  console.error(JSON.stringify({ step, message }));
+  // Progress event for the bot
+  emitEvent("progress", { step, message });
 }
 
 function logError(step, message, error, context = {}) {
@@ -95,38 +428,43 @@ function logDebug(step, message, context = {}) {
   }
 }
 
+// Logging of the ICS and Lunch Money clients
+const LOGGER = { info: logInfo, error: logError, debug: logDebug };
+
 // Puppeteer configuration
-const PUPPETEER_EXECUTABLE_PATH =
-  process.env.PUPPETEER_EXECUTABLE_PATH ||
-  (process.platform === "darwin"
-    ? "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome"
-    : "/usr/bin/chromium");
+// (IcsClient picks the platform's Chromium without PUPPETEER_EXECUTABLE_PATH)
+const PUPPETEER_EXECUTABLE_PATH = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
 const PUPPETEER_HEADLESS = process.env.PUPPETEER_HEADLESS !== "false";
 
 /**
  * Format date as YYYY-MM-DD
  */
-function formatDate(date) {
+export function formatDate(date) {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, "0");
   const day = String(date.getDate()).padStart(2, "0");
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Parse YYYY-MM-DD as a local date
+ */
+export function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
 /**
  * Get date chunks (30-day intervals) for transaction fetching
  */
-function getDateChunks(syncDays) {
+export function getDateChunks(fromDate, untilDate) {
   const chunks = [];
-  const today = new Date();
-  const startDate = new Date(today);
-  startDate.setDate(today.getDate() - syncDays);
 
-  let current = new Date(startDate);
-  while (current < today) {
+  let current = new Date(fromDate);
+  while (current < untilDate) {
     let chunkEnd = new Date(current);
     chunkEnd.setDate(current.getDate() + 30);
-    if (chunkEnd > today) chunkEnd = today;
+    if (chunkEnd > untilDate) chunkEnd = untilDate;
 
     chunks.push({
       from: formatDate(current),
@@ -141,343 +479,110 @@ function getDateChunks(syncDays) {
 }
 
 /**
- * Launch browser
+ * Determine the date window to fetch for an account: an explicit --from/--until range,
+ * the dates of the input transactions, from the saved high-water mark minus
+ * SYNC_OVERLAP_DAYS, or the full SYNC_DAYS window on the first run, with --full
+ * or for commands other than sync
  */
-async function launchBrowser() {
-  logInfo("browser_launch", "Launching browser...", {
-    executablePath: PUPPETEER_EXECUTABLE_PATH,
-    headless: PUPPETEER_HEADLESS,
-  });
+export function getSyncWindow(accountNumber, syncState) {
+  if (SYNC_RANGE) {
+    const fromDate = parseDate(SYNC_RANGE.fromDate);
+    // End of day, so a single-day range still yields a chunk
+    const untilDate = parseDate(SYNC_RANGE.untilDate);
+    untilDate.setHours(23, 59, 59);
+    return { fromDate, untilDate, mode: "range" };
+  }
 
-  try {
-    const browser = await puppeteer.launch({
-      executablePath: PUPPETEER_EXECUTABLE_PATH,
-      headless: PUPPETEER_HEADLESS,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-      ],
-    });
+  if (SOURCE === "input") {
+    const entry = getInputEntry(accountNumber);
+    const untilDate = parseDate(entry.untilDate);
+    untilDate.setHours(23, 59, 59);
+    return { fromDate: parseDate(entry.fromDate), untilDate, mode: "input" };
+  }
 
-    logInfo("browser_launch", "Browser launched successfully", {
-      headless: PUPPETEER_HEADLESS,
-    });
+  const untilDate = new Date();
+  const mark = syncState.accounts?.[accountNumber];
 
-    return browser;
-  } catch (error) {
-    logError("browser_launch", "Failed to launch browser", error, {
-      executablePath: PUPPETEER_EXECUTABLE_PATH,
-    });
-    throw error;
+  if (FULL_SYNC || !INCREMENTAL || !mark) {
+    const fromDate = new Date(untilDate);
+    fromDate.setDate(untilDate.getDate() - SYNC_DAYS_PARSED);
+    return { fromDate, untilDate, mode: "full" };
   }
+
+  const fromDate = parseDate(mark.transactionDate);
+  fromDate.setDate(fromDate.getDate() - SYNC_OVERLAP_DAYS);
+  return { fromDate, untilDate, mode: "incremental", highWaterMark: mark };
 }
 
 /**
- * Login flow: navigate to login page, fill form, submit
+ * Account picked earlier in Telegram, or null
  */
-async function login(page) {
-  logInfo("page_load", "Loading login page...", {
-    url: `${ICS_BASE_URL}/web/consumer/abnamro/sca-login`,
-  });
-
-  const loginUrl = `${ICS_BASE_URL}/web/consumer/abnamro/sca-login?URL=abnamro%2Fdashboard`;
-
+function readAccountChoice() {
   try {
-    const response = await page.goto(loginUrl, { waitUntil: "networkidle2", timeout: 30000 });
-    logInfo("page_load", "Login page loaded", {
-      status: response?.status(),
-      finalUrl: page.url(),
-    });
+    return JSON.parse(fs.readFileSync(ACCOUNT_CHOICE_FILE, "utf8")).accountNumber || null;
   } catch (error) {
-    logError("page_load", "Failed to load login page", error, {
-      url: loginUrl,
-      currentUrl: page.url(),
-    });
-    throw error;
-  }
-
-  // Handle cookie consent banner
-  try {
-    const cookieButtonSelectors = [
-      '[data-cookiefirst-action="accept"]',
-      'button[id*="accept"]',
-      "#truste-consent-button",
-    ];
-
-    let cookieAccepted = false;
-    for (const selector of cookieButtonSelectors) {
-      try {
-        const button = await page.$(selector);
-        if (button) {
-          await button.click();
-          await page.waitForTimeout(500);
-          cookieAccepted = true;
-          logDebug("page_load", "Cookie consent accepted", { selector });
-          break;
-        }
-      } catch (e) {
-        // Try next selector
-      }
-    }
-    if (!cookieAccepted) {
-      logDebug("page_load", "No cookie banner found or already accepted");
+    if (error.code !== "ENOENT") {
+      logError("account_choice", "Failed to read saved account choice", error);
     }
-  } catch (e) {
-    logDebug("page_load", "Cookie banner handling error (non-fatal)", { error: e.message });
+    return null;
   }
+}
 
-  logInfo("fill_form", "Filling credentials...", {
-    emailLength: ICS_EMAIL?.length || 0,
-    passwordLength: ICS_PASSWORD?.length || 0,
-  });
-
-  // Wait for form inputs to be visible - use XPath to find by aria-label or visible text
-  let submitButton = null;
+function saveAccountChoice(chosenAccount) {
   try {
-    // Wait for any input field to appear
-    await page.waitForSelector(
-      'input[type="text"], input[type="email"], input:not([type])',
-      { timeout: 10000 }
-    );
-
-    // Set values directly via JavaScript
-    const result = await page.evaluate(
-      (email, password) => {
-        const inputs = Array.from(document.querySelectorAll("input"));
-
-        // Find username field
-        const usernameField = inputs.find((input) => {
-          const type = input.type;
-          const isVisible = input.offsetParent !== null;
-          const isTextInput = !type || type === "text" || type === "email";
-          return isVisible && isTextInput;
-        });
-
-        // Find password field
-        const passwordField = inputs.find((input) => {
-          const type = input.type;
-          const isVisible = input.offsetParent !== null;
-          return isVisible && type === "password";
-        });
-
-        if (usernameField) {
-          usernameField.value = email;
-          usernameField.dispatchEvent(new Event("input", { bubbles: true }));
-          usernameField.dispatchEvent(new Event("change", { bubbles: true }));
-        }
-
-        if (passwordField) {
-          passwordField.value = password;
-          passwordField.dispatchEvent(new Event("input", { bubbles: true }));
-          passwordField.dispatchEvent(new Event("change", { bubbles: true }));
-        }
-
-        return {
-          usernameFound: !!usernameField,
-          passwordFound: !!passwordField,
-          usernameLength: usernameField ? usernameField.value.length : 0,
-          passwordLength: passwordField ? passwordField.value.length : 0,
-        };
-      },
-      ICS_EMAIL,
-      ICS_PASSWORD
+    fs.mkdirSync(path.dirname(ACCOUNT_CHOICE_FILE), { recursive: true });
+    fs.writeFileSync(
+      ACCOUNT_CHOICE_FILE,
+      JSON.stringify({ accountNumber: chosenAccount, chosenAt: new Date().toISOString() }, null, 2)
     );
-
-    logDebug("fill_form", "Form fields found", {
-      usernameFound: result.usernameFound,
-      passwordFound: result.passwordFound,
-      usernameLength: result.usernameLength,
-      passwordLength: result.passwordLength,
-    });
-
-    if (!result.usernameFound || !result.passwordFound) {
-      logError("fill_form", "Could not find username or password field", null, {
-        usernameFound: result.usernameFound,
-        passwordFound: result.passwordFound,
-      });
-      throw new Error("Could not find username or password field");
-    }
-
-    await page.waitForTimeout(500);
-
-    // Find login button by text
-    const loginButton = await page.evaluateHandle(() => {
-      const buttons = Array.from(document.querySelectorAll("button"));
-      return buttons.find(
-        (btn) =>
-          btn.textContent.includes("Inloggen") ||
-          btn.textContent.includes("Login") ||
-          btn.getAttribute("type") === "submit"
-      );
-    });
-
-    if (!loginButton || !(await loginButton.asElement())) {
-      throw new Error("Could not find login button");
-    }
-
-    submitButton = loginButton.asElement();
-    logDebug("fill_form", "Login button found");
-  } catch (error) {
-    logError("fill_form", "Failed to find or fill form fields", error);
-    throw error;
-  }
-
-  logInfo("submit_form", "Submitting login form...");
-
-  try {
-    // Click submit button
-    await submitButton.click();
-    await page.waitForTimeout(1000);
-    logDebug("submit_form", "Login form submitted, waiting for navigation");
   } catch (error) {
-    logError("submit_form", "Failed to submit login form", error);
-    throw error;
-  }
-
-  // Try to wait for navigation, but don't fail if it doesn't happen immediately
-  try {
-    await page.waitForNavigation({ waitUntil: "networkidle2", timeout: 10000 });
-    logDebug("submit_form", "Navigation completed after form submit", {
-      url: page.url(),
-    });
-  } catch (navError) {
-    logDebug("submit_form", "Navigation timeout (expected, will check in 2FA wait)", {
-      currentUrl: page.url(),
-      error: navError.message,
-    });
-    // Navigation might not happen immediately - that's OK, we'll check in wait2FA
+    // Not fatal - the bot will just ask again next time
+    logError("account_choice", "Failed to save account choice", error);
   }
 }
 
 /**
- * Wait for 2FA confirmation
+ * Send the account details to the bot and wait for the chosen account number,
+ * which the bot writes to stdin as a single line. Resolves null on timeout.
  */
-async function wait2FA(page) {
-  const startTime = Date.now();
-  logInfo("2fa_wait", "Waiting for 2FA confirmation (check your phone)...", {
-    timeout: 120000,
-    currentUrl: page.url(),
+function askAccountChoice(accountDetails) {
+  emitEvent("account_choice", {
+    message: `Found ${accountDetails.length} accounts, choose one to sync`,
+    accounts: accountDetails,
   });
 
-  // Wait for navigation to dashboard or 2FA completion
-  // The page should navigate after 2FA is confirmed
-  try {
-    await page.waitForFunction(
-      () => {
-        const currentUrl = window.location.href;
-        // Check if URL changed from login page
-        return (
-          !currentUrl.includes("sca-login") &&
-          (currentUrl.includes("dashboard") ||
-            currentUrl.includes("account") ||
-            currentUrl.includes("abnamro"))
-        );
-      },
-      { timeout: 120000 }
-    );
-
-    const finalUrl = page.url();
-    const waitTime = Date.now() - startTime;
-    logInfo("2fa_verified", `2FA confirmed! Navigated to: ${finalUrl}`, {
-      finalUrl,
-      waitTimeMs: waitTime,
-    });
-
-    // Wait a bit for page to settle and set cookies
-    await page.waitForTimeout(1000);
-    logDebug("2fa_verified", "Page settled, cookies should be set");
-  } catch (error) {
-    const currentUrl = page.url();
-    const waitTime = Date.now() - startTime;
-    logError("2fa_timeout", `Timeout waiting for 2FA. Current URL: ${currentUrl}`, error, {
-      currentUrl,
-      waitTimeMs: waitTime,
-      timeout: 120000,
-    });
-    throw new Error(
-      "2FA verification timeout - please confirm on your phone and try again"
-    );
-  }
-}
-
-/**
- * Extract cookies and XSRF token from page
- */
-async function extractCookies(page) {
-  try {
-    const cookies = await page.cookies();
-    const cookieMap = new Map();
-    let xsrfToken = null;
-
-    for (const cookie of cookies) {
-      cookieMap.set(cookie.name, cookie.value);
-      if (cookie.name === "XSRF-TOKEN") {
-        xsrfToken = decodeURIComponent(cookie.value);
+  return new Promise((resolve) => {
+    let buffer = "";
+    const finish = (choice) => {
+      clearTimeout(timer);
+      process.stdin.off("data", onData);
+      // Release stdin so the script can exit once the sync is done
+      process.stdin.destroy();
+      resolve(choice);
+    };
+    const onData = (chunk) => {
+      buffer += chunk.toString();
+      const newline = buffer.indexOf("\n");
+      if (newline !== -1) {
+        finish(buffer.slice(0, newline).trim());
       }
-    }
-
-    logDebug("extract_cookies", "Cookies extracted", {
-      cookieCount: cookies.length,
-      hasXsrfToken: !!xsrfToken,
-      cookieNames: Array.from(cookieMap.keys()),
-    });
-
-    return { cookies: cookieMap, xsrfToken };
-  } catch (error) {
-    logError("extract_cookies", "Failed to extract cookies", error);
-    throw error;
-  }
+    };
+    const timer = setTimeout(() => finish(null), ACCOUNT_PICK_TIMEOUT);
+    process.stdin.on("data", onData);
+  });
 }
 
 /**
- * Determine account number (auto-detect or use env var)
+ * Determine account number (auto-detect or use env var) with a logged-in
+ * IcsClient. Returns { accountNumber, accountName, balance }.
  */
-async function determineAccountNumber(page, cookieMap, xsrfToken) {
+export async function determineAccountNumber(client) {
   logInfo("determine_account", "Determining account...", {
     accountNumberProvided: !!accountNumber,
   });
 
   try {
-    // Use browser context to make API call (cookies are automatically included)
-    logDebug("determine_account", "Fetching accounts from API", {
-      hasXsrfToken: !!xsrfToken,
-    });
-    
-    const accountsData = await page.evaluate(async (xsrfToken) => {
-    const headers = {
-      Accept: "application/json, text/plain, */*",
-      "Accept-Language": "nl-NL,nl;q=0.9,en;q=0.8",
-    };
-
-    if (xsrfToken) {
-      headers["X-XSRF-TOKEN"] = xsrfToken;
-    }
-
-    const response = await fetch("/api/nl/sec/frontendservices/allaccountsv2", {
-      method: "GET",
-      headers: headers,
-      credentials: "include", // Important: include cookies
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Failed to fetch accounts: ${response.status} ${errorText}`
-      );
-    }
-
-    return await response.json();
-  }, xsrfToken);
-
-    logInfo("determine_account", "Accounts fetched", {
-      accountsCount: Array.isArray(accountsData) ? accountsData.length : 1,
-    });
-
-    // Update cookies from page (in case new ones were set)
-    const { cookies: updatedCookieMap, xsrfToken: updatedToken } =
-      await extractCookies(page);
-    const accounts = Array.isArray(accountsData) ? accountsData : [accountsData];
+    const accounts = await client.getAccounts();
 
     if (accounts.length === 0) {
       logError("determine_account", "No accounts found", null);
@@ -504,8 +609,8 @@ async function determineAccountNumber(page, cookieMap, xsrfToken) {
       });
       return {
         accountNumber,
-        cookieMap: updatedCookieMap,
-        xsrfToken: updatedToken,
+        accountName: foundAccount.accountName || foundAccount.productName,
+        balance: foundAccount.balance,
       };
     }
 
@@ -518,8 +623,24 @@ async function determineAccountNumber(page, cookieMap, xsrfToken) {
       });
       return {
         accountNumber,
-        cookieMap: updatedCookieMap,
-        xsrfToken: updatedToken,
+        accountName: accounts[0].accountName || accounts[0].productName,
+        balance: accounts[0].balance,
+      };
+    }
+
+    // Multiple accounts - use the one picked in Telegram before, if it still exists
+    const savedChoice = ACCOUNT_PICKER ? readAccountChoice() : null;
+    const savedAccount = savedChoice && accounts.find((acc) => acc.accountNumber === savedChoice);
+    if (savedAccount) {
+      accountNumber = savedChoice;
+      logInfo("account_selected", `Using previously chosen account: ${accountNumber}`, {
+        accountNumber,
+        accountName: savedAccount.accountName || savedAccount.productName,
+      });
+      return {
+        accountNumber,
+        accountName: savedAccount.accountName || savedAccount.productName,
+        balance: savedAccount.balance,
       };
     }
 
@@ -537,41 +658,7 @@ async function determineAccountNumber(page, cookieMap, xsrfToken) {
       const from = new Date();
       from.setDate(from.getDate() - 30);
 
-      // Use browser context for API call
-      const transactions = await page.evaluate(
-        async (accountNumber, fromDate, untilDate, xsrfToken) => {
-          const url =
-            `/api/nl/sec/frontendservices/transactionsv3/search` +
-            `?accountNumber=${accountNumber}` +
-            `&debitCredit=DEBIT_AND_CREDIT` +
-            `&fromDate=${fromDate}` +
-            `&untilDate=${untilDate}`;
-
-          const headers = {
-            Accept: "application/json, text/plain, */*",
-          };
-
-          if (xsrfToken) {
-            headers["X-XSRF-TOKEN"] = xsrfToken;
-          }
-
-          const response = await fetch(url, {
-            method: "GET",
-            headers: headers,
-            credentials: "include",
-          });
-
-          if (!response.ok) {
-            return null;
-          }
-
-          return await response.json();
-        },
-        account.accountNumber,
-        formatDate(from),
-        formatDate(until),
-        updatedToken
-      );
+      const transactions = await client.getTransactions(account.accountNumber, formatDate(from), formatDate(until));
 
       let latestTransaction = null;
       if (
@@ -607,6 +694,33 @@ async function determineAccountNumber(page, cookieMap, xsrfToken) {
       }
     }
 
+  // Let the user pick in Telegram and continue in this browser session
+  if (ACCOUNT_PICKER) {
+    const choice = await askAccountChoice(accountDetails);
+    const chosenAccount = accounts.find((acc) => acc.accountNumber === choice);
+    if (chosenAccount) {
+      accountNumber = choice;
+      saveAccountChoice(choice);
+      logInfo("account_selected", `Using account: ${accountNumber}`, {
+        accountNumber,
+        accountName: chosenAccount.accountName || chosenAccount.productName,
+      });
+      return {
+        accountNumber,
+        accountName: chosenAccount.accountName || chosenAccount.productName,
+        balance: chosenAccount.balance,
+      };
+    }
+    logError("account_choice", choice ? `Unknown account chosen: ${choice}` : "No account chosen in time", null, {
+      accountsCount: accounts.length,
+    });
+    const choiceError = new Error(
+      choice ? `Account ${choice} not found in available accounts` : "No account chosen - please pick an account and try again"
+    );
+    choiceError.step = "account_choice";
+    throw choiceError;
+  }
+
   // Format error message with account details
   let errorMessage = `Multiple accounts found (${accounts.length}). Please set ICS_ACCOUNT_NUMBER in .env:\n\n`;
 
@@ -639,7 +753,7 @@ async function determineAccountNumber(page, cookieMap, xsrfToken) {
     });
     throw new Error(errorMessage);
   } catch (error) {
-    if (error.message.includes("Multiple accounts")) {
+    if (error.message.includes("Multiple accounts") || error.step === "account_choice") {
       throw error; // Re-throw our formatted error
     }
     logError("determine_account", "Failed to determine account", error);
@@ -648,15 +762,160 @@ async function determineAccountNumber(page, cookieMap, xsrfToken) {
 }
 
 /**
- * Fetch transactions in chunks
+ * Determine which ICS accounts to sync into which Lunch Money assets:
+ * every account in ICS_ACCOUNT_MAP, or the single account + LUNCHMONEY_ASSET_ID.
+ * Returns [{ accountNumber, accountName, balance, assetId }].
+ */
+export async function determineSyncTargets(client) {
+  if (!accountMap) {
+    const determined = await determineAccountNumber(client);
+    return [{ ...determined, assetId }];
+  }
+
+  logInfo("determine_account", `Checking ${accountMap.length} mapped accounts...`, {
+    accountsCount: accountMap.length,
+  });
+
+  const accounts = await client.getAccounts();
+
+  const missing = accountMap.filter(
+    (mapped) => !accounts.some((acc) => acc.accountNumber === mapped.accountNumber)
+  );
+  if (missing.length > 0) {
+    logError("determine_account", "Mapped accounts not found in available accounts", null, {
+      missingAccounts: missing.map((m) => m.accountNumber),
+      availableAccounts: accounts.map((a) => a.accountNumber),
+    });
+    const error = new Error(
+      `Account(s) from ICS_ACCOUNT_MAP not found: ${missing.map((m) => m.accountNumber).join(", ")}. ` +
+        `Available accounts: ${accounts.map((a) => a.accountNumber).join(", ")}`
+    );
+    error.step = "determine_account";
+    throw error;
+  }
+
+  const targets = accountMap.map((mapped) => {
+    const account = accounts.find((acc) => acc.accountNumber === mapped.accountNumber);
+    return {
+      ...mapped,
+      accountName: account.accountName || account.productName,
+      balance: account.balance,
+    };
+  });
+
+  logInfo("accounts_mapped", `Syncing ${targets.length} mapped accounts`, {
+    accountsCount: targets.length,
+    mapping: targets.map((t) => `${t.accountNumber}->${t.assetId}`),
+  });
+
+  return targets;
+}
+
+/**
+ * Save a fetched chunk in the raw archive when RAW_ARCHIVE is on. The first call
+ * of a run also deletes days older than RAW_ARCHIVE_MAX_AGE_DAYS, so turning the
+ * archive off doesn't keep old data forever.
+ */
+function archiveRawChunk(accountNumber, chunk, transactions) {
+  // The sync doesn't depend on the archive; a full disk shouldn't stop it
+  try {
+    if (!rawArchivePruned) {
+      rawArchivePruned = true;
+      const prunedDays = pruneArchive(RAW_ARCHIVE_DIR, RAW_ARCHIVE_MAX_AGE_DAYS);
+      if (prunedDays > 0) {
+        logInfo("archive_prune", `Deleted ${prunedDays} days of raw ICS data older than ${RAW_ARCHIVE_MAX_AGE_DAYS} days`);
+      }
+    }
+    if (RAW_ARCHIVE) {
+      archiveChunk(RAW_ARCHIVE_DIR, { accountNumber, fromDate: chunk.from, untilDate: chunk.to, transactions }, RAW_ARCHIVE_SECRET);
+    }
+  } catch (error) {
+    logError("archive_chunk", "Failed to archive raw ICS transactions", error, { accountNumber });
+  }
+}
+
+/**
+ * Archived transactions of an account for a replay, warning about dates the archive doesn't cover
+ */
+function readReplayTransactions(accountNumber, syncWindow) {
+  const fromDate = formatDate(syncWindow.fromDate);
+  const untilDate = formatDate(syncWindow.untilDate);
+  const { transactions, chunksCount, gaps, unreadable } = readArchivedTransactions(
+    RAW_ARCHIVE_DIR,
+    accountNumber,
+    fromDate,
+    untilDate,
+    RAW_ARCHIVE_SECRET
+  );
+
+  logInfo("replay_transactions", `Read ${transactions.length} archived transactions from ${chunksCount} chunks`, {
+    accountNumber,
+    fromDate,
+    untilDate,
+    chunksCount,
+  });
+  for (const chunk of unreadable) {
+    const message = `Can't read archived ICS data for ${accountNumber} from ${chunk.fromDate} to ${chunk.untilDate} ` +
+      `(${path.basename(chunk.filePath)}): ${chunk.error}`;
+    logError("replay_gap", message, null, { accountNumber });
+    emitEvent("warning", { step: "replay_gap", message });
+  }
+  for (const gap of gaps) {
+    const message = `No archived ICS data for ${accountNumber} from ${gap.fromDate} to ${gap.untilDate}`;
+    logError("replay_gap", message, null, { accountNumber });
+    emitEvent("warning", { step: "replay_gap", message });
+  }
+
+  return { transactions };
+}
+
+/**
+ * Input entry of an account (see INPUT_ENTRIES)
+ */
+function getInputEntry(accountNumber) {
+  const entry = INPUT_ENTRIES.find((e) => e.accountNumber === accountNumber);
+  if (!entry) {
+    const error = new Error(`No input transactions for account ${accountNumber}`);
+    error.step = "input";
+    throw error;
+  }
+  return entry;
+}
+
+/**
+ * Input transactions of an account within the sync window
+ */
+function readInputTransactions(accountNumber, syncWindow) {
+  const fromDate = formatDate(syncWindow.fromDate);
+  const untilDate = formatDate(syncWindow.untilDate);
+  const transactions = getInputEntry(accountNumber).transactions.filter(
+    (t) => t.transactionDate >= fromDate && t.transactionDate <= untilDate
+  );
+  logInfo("input_transactions", `Read ${transactions.length} input transactions from ${fromDate} to ${untilDate}`, {
+    accountNumber,
+  });
+  return { transactions };
+}
+
+/**
+ * Fetch transactions in chunks (or read them from the raw archive or the input)
  */
-async function fetchTransactions(page, accountNumber, cookieMap, xsrfToken) {
+export async function fetchTransactions(client, accountNumber, syncWindow) {
+  if (SOURCE === "archive") {
+    return readReplayTransactions(accountNumber, syncWindow);
+  }
+  if (SOURCE === "input") {
+    return readInputTransactions(accountNumber, syncWindow);
+  }
+
   logInfo("fetch_transactions", "Fetching transactions...", {
     accountNumber,
-    syncDays: SYNC_DAYS_PARSED,
+    fromDate: formatDate(syncWindow.fromDate),
+    untilDate: formatDate(syncWindow.untilDate),
+    mode: syncWindow.mode,
   });
 
-  const chunks = getDateChunks(SYNC_DAYS_PARSED);
+  const chunks = syncWindow.chunks || getDateChunks(syncWindow.fromDate, syncWindow.untilDate);
   const allTransactions = [];
 
   logInfo("fetch_transactions", `Prepared ${chunks.length} date chunks`, {
@@ -673,57 +932,30 @@ async function fetchTransactions(page, accountNumber, cookieMap, xsrfToken) {
       untilDate: chunk.to,
     });
 
-    // Use browser context for API call (cookies are automatically included)
-    const transactions = await page.evaluate(
-      async (accountNumber, fromDate, untilDate, xsrfToken) => {
-        const url =
-          `/api/nl/sec/frontendservices/transactionsv3/search` +
-          `?accountNumber=${accountNumber}` +
-          `&debitCredit=DEBIT_AND_CREDIT` +
-          `&fromDate=${fromDate}` +
-          `&untilDate=${untilDate}`;
-
-        const headers = {
-          Accept: "application/json, text/plain, */*",
-        };
-
-        if (xsrfToken) {
-          headers["X-XSRF-TOKEN"] = xsrfToken;
-        }
-
-        const response = await fetch(url, {
-          method: "GET",
-          headers: headers,
-          credentials: "include",
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(
-            `Failed to fetch transactions: ${response.status} ${errorText}`
-          );
-        }
-
-        return await response.json();
-      },
-      accountNumber,
-      chunk.from,
-      chunk.to,
-      xsrfToken
-    );
-
-    if (!Array.isArray(transactions)) {
-      logError("fetch_chunk", "Invalid transactions response", null, {
+    // Fetched before a resumed run failed
+    const cached = journal && readCachedChunk(JOURNAL_DIR, journal, accountNumber, chunk, SESSION_SECRET);
+    if (cached) {
+      allTransactions.push(...cached);
+      logInfo("chunk_cached", `Using ${cached.length} cached transactions from ${chunk.from} to ${chunk.to}`, {
         chunkIndex: i + 1,
-        responseType: typeof transactions,
-        responsePreview: JSON.stringify(transactions).substring(0, 200),
+        totalChunks: chunks.length,
+        transactionsInChunk: cached.length,
       });
-      throw new Error(
-        `Invalid transactions response: ${JSON.stringify(transactions)}`
-      );
+      continue;
+    }
+    if (!client) {
+      const error = new Error(`Cached ICS transactions from ${chunk.from} to ${chunk.to} are missing`);
+      error.step = "resume";
+      throw error;
     }
 
+    const transactions = await client.getTransactions(accountNumber, chunk.from, chunk.to);
+
     allTransactions.push(...transactions);
+    if (journal) {
+      recordChunk(JOURNAL_DIR, journal, accountNumber, chunk, transactions, SESSION_SECRET);
+    }
+    archiveRawChunk(accountNumber, chunk, transactions);
 
     logInfo("chunk_complete", `Fetched ${transactions.length} transactions from ${chunk.from} to ${chunk.to}`, {
       chunkIndex: i + 1,
@@ -745,572 +977,850 @@ async function fetchTransactions(page, accountNumber, cookieMap, xsrfToken) {
 }
 
 /**
- * Create a tag in Lunch Money v2 API (returns existing if duplicate)
+ * Apply planned reconciliation corrections; failures are reported, not fatal
  */
-async function createTag(tagName) {
-  logDebug("tag_create", `Creating tag: ${tagName}`);
-
-  try {
-    const resp = await fetch("https://api.lunchmoney.dev/v2/tags", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${LUNCHMONEY_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ name: tagName }),
-    });
+async function applyCorrections(corrections) {
+  const applied = [];
 
-    const responseText = await resp.text();
-    logDebug("tag_create_response", "Tag creation response", {
-      status: resp.status,
-      statusText: resp.statusText,
-      responsePreview: responseText.substring(0, 200),
-    });
-
-    let data;
+  for (const correction of corrections) {
     try {
-      data = JSON.parse(responseText);
-    } catch (parseError) {
-      logError("tag_parse_error", "Failed to parse tag response", parseError, {
-        responseText: responseText.substring(0, 200),
-      });
-      throw new Error(`Invalid JSON response from Lunch Money tags endpoint: ${responseText.substring(0, 100)}`);
-    }
-
-    // 201 = created, 400 with existing tag = already exists
-    if (resp.status === 201) {
-      if (!data.id) {
-        logError("tag_missing_id", "Tag created but no ID returned", null, {
-          response: JSON.stringify(data).substring(0, 200),
+      if (correction.action === "update") {
+        await lunchMoney.updateTransaction(correction.id, {
+          date: correction.newDate,
+          amount: correction.newAmount,
+          external_id: correction.newExternalId,
         });
-        throw new Error("Tag created but no ID returned from Lunch Money");
+      } else {
+        await lunchMoney.deleteTransaction(correction.id);
       }
-      logInfo("tag_created", `Created tag: ${tagName}`, { tagId: data.id });
-      return data.id;
-    }
-
-    // Check for error in response
-    if (data.error) {
-      logDebug("tag_error_response", "Tag creation returned error", {
-        error: data.error,
-        status: resp.status,
+      logInfo("reconcile_applied", `${correction.action === "update" ? "Updated" : "Deleted"} stale transaction: ${correction.payee} ${correction.oldAmount} -> ${correction.newAmount}`, {
+        transactionId: correction.id,
+        date: correction.newDate,
       });
+      applied.push({ ...correction, applied: true });
+    } catch (error) {
+      logError("reconcile_failed", `Failed to ${correction.action} stale transaction ${correction.id}`, error, {
+        transactionId: correction.id,
+      });
+      applied.push({ ...correction, applied: false, error: error.message });
     }
+  }
 
-    // If tag exists, fetch it
-    if (resp.status === 400) {
-      logDebug("tag_fetch_existing", "Tag may already exist, fetching all tags");
-      const getResp = await fetch("https://api.lunchmoney.dev/v2/tags", {
-        headers: { Authorization: `Bearer ${LUNCHMONEY_TOKEN}` },
-      });
+  return applied;
+}
 
-      if (!getResp.ok) {
-        logError("tag_fetch_error", "Failed to fetch tags list", null, {
-          status: getResp.status,
-          statusText: getResp.statusText,
-        });
-        throw new Error(`Failed to fetch tags: ${getResp.status}`);
-      }
+/**
+ * Compare the ICS account balance with the Lunch Money manual account balance,
+ * optionally correcting Lunch Money. Problems are reported, never fatal.
+ */
+export async function checkBalance(target) {
+  const icsBalance = parseFloat(target.balance);
+  if (Number.isNaN(icsBalance)) {
+    logError("balance_check", `ICS did not report a balance for account ${target.accountNumber}`, null, {
+      accountNumber: target.accountNumber,
+    });
+    return { error: "ICS balance not available" };
+  }
 
-      const getResponseText = await getResp.text();
-      let tagsData;
-      try {
-        tagsData = JSON.parse(getResponseText);
-      } catch (parseError) {
-        logError("tags_list_parse_error", "Failed to parse tags list response", parseError, {
-          responseText: getResponseText.substring(0, 200),
-        });
-        throw new Error("Failed to parse tags list from Lunch Money");
-      }
+  try {
+    const manualAccount = await lunchMoney.getManualAccount(target.assetId);
+    const lunchMoneyBalance = parseFloat(manualAccount.balance);
+    const drift = Math.round((lunchMoneyBalance - icsBalance) * 100) / 100;
+    const balance = {
+      icsBalance,
+      lunchMoneyBalance,
+      drift,
+      currency: manualAccount.currency,
+      updated: false,
+    };
 
-      const tags = tagsData.tags || tagsData;
-      if (!Array.isArray(tags)) {
-        logError("tags_not_array", "Tags response is not an array", null, {
-          responseKeys: Object.keys(tagsData),
-          responsePreview: JSON.stringify(tagsData).substring(0, 200),
-        });
-        throw new Error("Unexpected tags response format from Lunch Money");
-      }
+    if (drift === 0) {
+      logInfo("balance_check", `Balance matches for account ${target.accountNumber}: ${icsBalance}`, {
+        accountNumber: target.accountNumber,
+      });
+      return balance;
+    }
 
-      const existing = tags.find((t) => t.name === tagName);
-      if (existing) {
-        logInfo("tag_found", `Using existing tag: ${tagName}`, { tagId: existing.id });
-        return existing.id;
-      }
+    logError("balance_drift", `Balance drift for account ${target.accountNumber}: ICS ${icsBalance}, Lunch Money ${lunchMoneyBalance}`, null, {
+      accountNumber: target.accountNumber,
+      assetId: target.assetId,
+      drift,
+    });
 
-      logError("tag_not_found", "Tag creation failed and tag not found in existing tags", null, {
-        tagName,
-        existingTagNames: tags.map(t => t.name).slice(0, 10),
+    if (BALANCE_UPDATE && !DRY_RUN) {
+      await lunchMoney.updateManualAccount(target.assetId, { balance: icsBalance });
+      balance.updated = true;
+      logInfo("balance_updated", `Lunch Money balance set to ${icsBalance}`, {
+        accountNumber: target.accountNumber,
+        assetId: target.assetId,
       });
     }
 
-    // Log unexpected status
-    logError("tag_unexpected_status", "Unexpected response from tag creation", null, {
-      status: resp.status,
-      statusText: resp.statusText,
-      response: JSON.stringify(data).substring(0, 500),
+    return balance;
+  } catch (error) {
+    logError("balance_check", `Balance check failed for account ${target.accountNumber}`, error, {
+      accountNumber: target.accountNumber,
     });
+    return { icsBalance, error: error.message };
+  }
+}
 
-    throw new Error(`Failed to create tag: ${resp.status} - ${JSON.stringify(data).substring(0, 200)}`);
+/**
+ * Resolve the tag names used by card routes to Lunch Money tag IDs
+ */
+export async function resolveRouteTags(routes) {
+  const tagIds = new Map();
+  for (const tagName of getRouteTagNames(routes)) {
+    tagIds.set(tagName, await lunchMoney.createTag(tagName));
+  }
+  return tagIds;
+}
+
+/**
+ * Resolve the category names used by the category map to Lunch Money category IDs.
+ * Names that don't exist in Lunch Money are logged and left out.
+ */
+export async function resolveCategoryIds(mapping) {
+  logInfo("categories_fetch", "Fetching Lunch Money categories for category mapping...");
+
+  let categories;
+  try {
+    categories = await lunchMoney.getCategories();
   } catch (error) {
-    if (error.message.includes("Failed to create tag") || error.message.includes("Lunch Money")) {
-      throw error;
+    error.step = "categories_fetch";
+    throw error;
+  }
+
+  // Category groups can't be assigned to transactions
+  const byName = new Map();
+  for (const category of categories) {
+    if (!category.is_group && !category.archived) {
+      byName.set(category.name.trim().toUpperCase(), category.id);
     }
-    logError("tag_create_exception", "Exception during tag creation", error, {
-      tagName,
-      errorMessage: error.message,
+  }
+
+  const categoryIds = new Map();
+  const missing = [];
+  for (const name of getCategoryNames(mapping)) {
+    const id = byName.get(name.toUpperCase());
+    if (id) {
+      categoryIds.set(name, id);
+    } else {
+      missing.push(name);
+    }
+  }
+
+  if (missing.length > 0) {
+    logError("categories_missing", `Categories not found in Lunch Money: ${missing.join(", ")}`, null, {
+      missing,
     });
-    throw error;
   }
+  logInfo("categories_resolved", `Resolved ${categoryIds.size} mapped categories`, {
+    resolved: categoryIds.size,
+    missing: missing.length,
+  });
+
+  return { categoryIds, missing };
 }
 
 /**
- * Transform transactions for Lunch Money v2 API
+ * Transform transactions for Lunch Money v2 API.
+ * Card routes may send a transaction to another manual account and add tags;
+ * the category map sets category_id from the merchant category.
  */
-function transformTransactions(transactions, tagId) {
-  return transactions.map((t) => {
-    // Determine amount sign for Lunch Money v2 API:
-    // NEGATIVE amounts = expenses (debits, money out)
-    // POSITIVE amounts = income (credits, money in)
-    //
-    // ICS billingAmount already matches Lunch Money convention:
-    // NEGATIVE = charge/expense
-    // POSITIVE = refund/income
-    const amount = parseFloat(t.billingAmount);
-    const signedAmount = amount;
-
-    // Debug log for each transaction to verify debitCredit from ICS
+export function transformTransactions(transactions, tagId, targetAssetId, accountNumber, routeTagIds = new Map(), categoryIds = new Map(), accountTagId = null) {
+  for (const t of transactions) {
     logDebug("transform_transaction", "Processing transaction", {
       date: t.transactionDate,
       description: t.description?.substring(0, 50),
       billingAmount: t.billingAmount,
       debitCredit: t.debitCredit,
-      signedAmount,
     });
+  }
 
-    // Build notes for foreign currency transactions
-    let notes = "";
-    if (t.sourceCurrency && t.sourceCurrency !== t.billingCurrency) {
-      notes = `Original: ${t.sourceAmount} ${t.sourceCurrency}`;
-    }
-
-    // Normalize payee to uppercase so skip_duplicates (date+payee+amount)
-    // catches duplicates even when the bank changes casing between fetches
-    const payee = (t.description || "").toUpperCase();
-
-    // Build unique external_id
-    // Set EXTERNAL_ID_SUFFIX env var to force reimport (e.g., "v2", "v3")
-    const suffix = process.env.EXTERNAL_ID_SUFFIX;
-    const baseId = `${t.transactionDate}-${t.processingTime || "000000"}-${t.batchNr}-${t.batchSequenceNr}-${t.billingAmount}`;
-    const externalId = suffix ? `${baseId}-${suffix}` : baseId;
-
-    return {
-      date: t.transactionDate,
-      payee,
-      amount: signedAmount,
-      manual_account_id: assetId,
-      tag_ids: [tagId],
-      notes: notes,
-      external_id: externalId,
-      status: "unreviewed",
-    };
+  return mapTransactions(transactions, {
+    assetId: targetAssetId,
+    tagId,
+    accountTagId,
+    payeeRules,
+    // Set EXTERNAL_ID_SUFFIX to force a reimport (e.g. "v2", "v3")
+    externalIdSuffix: process.env.EXTERNAL_ID_SUFFIX,
+    findRoute: (t) => {
+      const route = findCardRoute(cardRoutes, t, accountNumber);
+      if (route) {
+        logDebug("transform_route", "Transaction routed by card rule", {
+          date: t.transactionDate,
+          description: t.description?.substring(0, 50),
+          assetId: route.assetId,
+          tags: route.tags,
+        });
+      }
+      return route;
+    },
+    routeTagIds,
+    findCategoryId: (t) => {
+      const categoryName = findCategoryName(categoryMap, t);
+      return categoryName ? categoryIds.get(categoryName) : undefined;
+    },
   });
 }
 
 /**
- * Send transactions to Lunch Money v2 API in batches
+ * Send transactions to Lunch Money in batches.
+ * `onBatchConfirmed(batch)` is called for every batch Lunch Money accepted.
  */
-async function sendToLunchMoney(transactions) {
+export async function sendToLunchMoney(transactions, targetAssetId, onBatchConfirmed = () => {}) {
   const sampleExternalId = transactions[0]?.external_id || 'none';
   logInfo("sync_lunchmoney", `Sending ${transactions.length} transactions to Lunch Money v2...`, {
     totalTransactions: transactions.length,
-    manualAccountId: assetId,
+    manualAccountId: targetAssetId,
   });
   logInfo("sync_lunchmoney", `External ID format: ${sampleExternalId}`, {
     externalIdSuffix: process.env.EXTERNAL_ID_SUFFIX || 'not set',
   });
 
-  const batchSize = 500; // v2 API supports up to 500 per request
-  const batches = [];
+  return lunchMoney.insertTransactions(transactions, {
+    // skip_duplicates dedupes by date/payee/amount (external_id dedupe always happens)
+    skipDuplicates: process.env.SKIP_DUPLICATES !== 'false',
+    onBatchConfirmed: (batch, counts) => {
+      emitEvent("counts", { step: "sync_batch_complete", ...counts });
+      onBatchConfirmed(batch);
+    },
+  });
+}
 
-  for (let i = 0; i < transactions.length; i += batchSize) {
-    batches.push(transactions.slice(i, i + batchSize));
-  }
+/**
+ * Dry run: compare transformed transactions with existing Lunch Money transactions
+ */
+export async function previewAccount(lmTransactions, existing) {
+  logInfo("preview", `Comparing ${lmTransactions.length} transactions with Lunch Money...`, {
+    transactionsCount: lmTransactions.length,
+    existingCount: existing.length,
+  });
 
-  logInfo("sync_lunchmoney", `Prepared ${batches.length} batches`, {
-    batchesCount: batches.length,
-    batchSize,
-    totalTransactions: transactions.length,
+  const preview = previewTransactions(lmTransactions, existing, {
+    skipDuplicates: process.env.SKIP_DUPLICATES !== "false",
   });
 
-  const results = [];
+  logInfo("preview", `Preview: ${preview.counts.insert} new, ${preview.counts.exists + preview.counts.duplicate} duplicates, ${preview.counts.changed} with different amounts`, {
+    ...preview.counts,
+  });
 
-  for (let i = 0; i < batches.length; i++) {
-    const batch = batches[i];
+  return preview;
+}
 
-    // Log before sending - use console.error directly to ensure order
-    const sendingMsg = `Sending batch ${i + 1}/${batches.length} (${batch.length} transactions) to Lunch Money...`;
-    console.error(formatLog('INFO', 'sync_batch_start', sendingMsg, {
-      batchIndex: i + 1,
-      totalBatches: batches.length,
-      transactionsInBatch: batch.length,
-    }));
-    console.error(JSON.stringify({ step: 'sync_batch_start', message: sendingMsg }));
+/**
+ * Existing Lunch Money transactions of every asset the transactions go to.
+ * The range starts RECONCILE_DAYS early when reconciling, to see stale rows near the window start.
+ */
+async function fetchExistingForTransactions(lmTransactions, fromDate, untilDate) {
+  const start = parseDate(fromDate);
+  if (RECONCILE_PENDING) {
+    start.setDate(start.getDate() - RECONCILE_DAYS);
+  }
 
-    try {
-      // Log first transaction for debugging (without sensitive data)
-      if (batch.length > 0) {
-        const sampleTx = batch[0];
-        logDebug("sync_batch_sample", "First transaction in batch", {
-          date: sampleTx.date,
-          amount: sampleTx.amount,
-          payee: sampleTx.payee?.substring(0, 30),
-          manual_account_id: sampleTx.manual_account_id,
-          external_id: sampleTx.external_id,
-          status: sampleTx.status,
-          has_tag_ids: Array.isArray(sampleTx.tag_ids) && sampleTx.tag_ids.length > 0,
-        });
-      }
+  const existing = [];
+  for (const id of new Set(lmTransactions.map((t) => t.manual_account_id))) {
+    existing.push(...(await lunchMoney.getTransactions({ manualAccountId: id, startDate: formatDate(start), endDate: untilDate })));
+  }
+  return existing;
+}
 
-      // skip_duplicates dedupes by date/payee/amount (separate from external_id)
-      // external_id deduplication always happens automatically
-      const skipDuplicates = process.env.SKIP_DUPLICATES !== 'false';
+/**
+ * Plan reconciliation of stale pending transactions against the current ICS data
+ */
+function planAccountReconciliation(lmTransactions, existing, fromDate, untilDate, accountTagId) {
+  const plan = planReconciliation(lmTransactions, existing, {
+    fromDate,
+    untilDate,
+    accountTagId,
+    externalIdSuffix: process.env.EXTERNAL_ID_SUFFIX,
+    toleranceDays: RECONCILE_DAYS,
+    amountTolerance: RECONCILE_AMOUNT_TOLERANCE,
+  });
 
-      const requestBody = {
-        transactions: batch,
-        apply_rules: true,
-        skip_duplicates: skipDuplicates,
-      };
+  logInfo("reconcile", `Found ${plan.corrections.length} stale transactions to correct`, {
+    transactionsCount: plan.corrections.length,
+    updates: plan.corrections.filter((c) => c.action === "update").length,
+    deletes: plan.corrections.filter((c) => c.action === "delete").length,
+  });
 
-      logDebug("sync_batch_request", "Request payload", {
-        batchIndex: i + 1,
-        url: LUNCHMONEY_API_URL,
-        transactionsCount: batch.length,
-        requestBodySize: JSON.stringify(requestBody).length,
-      });
+  return plan;
+}
 
-      const response = await fetch(LUNCHMONEY_API_URL, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${LUNCHMONEY_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(requestBody),
+/**
+ * Sync one ICS account into its Lunch Money asset.
+ * Returns the per-account result and the updated sync state.
+ */
+export async function syncAccount(client, target, { syncState, getTagId, getRouteTagIds, getCategoryIds, getAccountTagId }) {
+  let syncWindow;
+  const journaled = journal?.accounts[target.accountNumber];
+  if (journaled) {
+    // Resuming: fetch the same dates and chunks as the failed run
+    syncWindow = {
+      fromDate: parseDate(journaled.fromDate),
+      untilDate: parseDate(journaled.untilDate),
+      mode: journaled.mode,
+      chunks: journaled.chunks,
+    };
+  } else {
+    // Work out which dates to fetch from the saved high-water mark
+    syncWindow = getSyncWindow(target.accountNumber, syncState);
+    syncWindow.chunks = getDateChunks(syncWindow.fromDate, syncWindow.untilDate);
+    if (journal) {
+      recordWindow(JOURNAL_DIR, journal, target.accountNumber, {
+        fromDate: formatDate(syncWindow.fromDate),
+        untilDate: formatDate(syncWindow.untilDate),
+        mode: syncWindow.mode,
+        chunks: syncWindow.chunks,
       });
+    }
+  }
+  const fromDate = formatDate(syncWindow.fromDate);
+  const untilDate = formatDate(syncWindow.untilDate);
+
+  logInfo("sync_window", `Sync window for ${target.accountNumber}: ${fromDate} to ${untilDate} (${syncWindow.mode})`, {
+    accountNumber: target.accountNumber,
+    assetId: target.assetId,
+    mode: syncWindow.mode,
+    highWaterMark: syncWindow.highWaterMark?.transactionDate,
+    overlapDays: SYNC_OVERLAP_DAYS,
+  });
 
-      // Get raw response text first for debugging
-      const responseText = await response.text();
+  const accountResult = {
+    success: true,
+    accountNumber: target.accountNumber,
+    accountName: target.accountName,
+    assetId: target.assetId,
+    transactionsCount: 0,
+    syncedCount: 0,
+    insertedCount: 0,
+    skippedCount: 0,
+    lunchMoneyRetries: 0,
+    routedCount: 0,
+    categorizedCount: 0,
+    fromDate,
+    untilDate,
+    syncMode: syncWindow.mode,
+  };
 
-      // Log raw response for debugging
-      logDebug("sync_batch_response_raw", "Raw API response", {
-        batchIndex: i + 1,
-        status: response.status,
-        statusText: response.statusText,
-        responseLength: responseText.length,
-        responsePreview: responseText.substring(0, 500),
-      });
+  // Fetch transactions
+  const { transactions } = await fetchTransactions(client, target.accountNumber, syncWindow);
 
-      // v2 API returns 201 Created on success
-      if (!response.ok && response.status !== 201) {
-        const status = response.status;
-
-        // Better error messages based on status code
-        let userMessage = `Lunch Money API error (${status})`;
-        if (status === 503) {
-          userMessage = "Lunch Money service is temporarily unavailable (503). Please try again in a few minutes.";
-        } else if (status === 401) {
-          userMessage = "Invalid Lunch Money API token. Please check your LUNCHMONEY_TOKEN.";
-        } else if (status === 400) {
-          userMessage = `Lunch Money bad request (400): ${responseText.substring(0, 200)}`;
-        } else if (status === 404) {
-          userMessage = "Lunch Money resource not found (404). Check your manual_account_id.";
-        } else if (status === 429) {
-          userMessage = "Lunch Money rate limit exceeded (429). Please try again later.";
-        } else if (status === 500) {
-          userMessage = "Lunch Money server error. Please try again later.";
-        } else if (status >= 400 && status < 500) {
-          userMessage = `Lunch Money client error (${status}). Please check your configuration.`;
-        } else if (status >= 500) {
-          userMessage = `Lunch Money server error (${status}). The service may be experiencing issues.`;
-        }
+  if (transactions.length === 0) {
+    logInfo("sync_account_complete", `No transactions found for account ${target.accountNumber}`, {
+      accountNumber: target.accountNumber,
+      fromDate,
+      untilDate,
+    });
+    if (journal) {
+      completeAccount(JOURNAL_DIR, journal, target.accountNumber);
+    }
+    return { accountResult, syncState };
+  }
 
-        logError("sync_batch_error", "Lunch Money API error", null, {
-          batchIndex: i + 1,
-          totalBatches: batches.length,
-          statusCode: status,
-          statusText: response.statusText,
-          responseBody: responseText.substring(0, 1000),
-          userMessage,
-        });
+  logInfo("sync_progress", "Transactions fetched, transforming for Lunch Money", {
+    transactionsCount: transactions.length,
+    accountNumber: target.accountNumber,
+  });
 
-        throw new Error(userMessage);
-      }
+  // Transform transactions (dry runs must not create tags)
+  const tagId = DRY_RUN ? null : await getTagId();
+  const routeTagIds = DRY_RUN ? new Map() : await getRouteTagIds();
+  // Looking up categories is read-only, so previews show them too
+  const categoryIds = categoryMap.size > 0 ? await getCategoryIds() : new Map();
+  // Reconciliation only touches rows with the tag of the account being synced
+  const accountTagId = RECONCILE_PENDING ? await getAccountTagId(target.accountNumber) : null;
+  const lmTransactions = transformTransactions(
+    transactions,
+    tagId,
+    target.assetId,
+    target.accountNumber,
+    routeTagIds,
+    categoryIds,
+    accountTagId
+  );
+  const routedCount = transactions.filter(
+    (t) => findCardRoute(cardRoutes, t, target.accountNumber)
+  ).length;
+  const categorizedCount = lmTransactions.filter((t) => t.category_id).length;
+
+  logInfo("sync_progress", "Transactions transformed", {
+    originalCount: transactions.length,
+    transformedCount: lmTransactions.length,
+    routedCount,
+    categorizedCount,
+  });
 
-      // Parse JSON response
-      let result;
-      try {
-        result = JSON.parse(responseText);
-      } catch (parseError) {
-        logError("sync_batch_parse_error", "Failed to parse Lunch Money response as JSON", parseError, {
-          batchIndex: i + 1,
-          responseText: responseText.substring(0, 500),
-        });
-        throw new Error(`Invalid JSON response from Lunch Money: ${responseText.substring(0, 200)}`);
-      }
+  const existing = DRY_RUN || RECONCILE_PENDING
+    ? await fetchExistingForTransactions(lmTransactions, fromDate, untilDate)
+    : [];
 
-      // Check for error field in response (API might return 200/201 with error in body)
-      if (result.error) {
-        const errorMsg = Array.isArray(result.error) ? result.error.join(', ') : String(result.error);
-        logError("sync_batch_api_error", "Lunch Money returned error in response body", null, {
-          batchIndex: i + 1,
-          status: response.status,
-          errorField: errorMsg,
-          fullResponse: JSON.stringify(result).substring(0, 1000),
-        });
-        throw new Error(`Lunch Money API error: ${errorMsg}`);
-      }
+  if (DRY_RUN) {
+    const preview = await previewAccount(lmTransactions, existing);
+    if (RECONCILE_PENDING) {
+      preview.corrections = planAccountReconciliation(lmTransactions, existing, fromDate, untilDate, accountTagId)
+        .corrections.map((c) => ({ ...c, applied: false }));
+    }
+    return {
+      accountResult: {
+        ...accountResult,
+        transactionsCount: transactions.length,
+        syncedCount: lmTransactions.length,
+        routedCount,
+        categorizedCount,
+        preview,
+      },
+      syncState,
+    };
+  }
 
-      // v2 API returns { transactions: [...], skipped_duplicates: [...] }
-      // v1 API returns { ids: [...] }
-      // Handle both formats for compatibility
-      let insertedCount = 0;
-      let skippedCount = 0;
-
-      if (result.transactions) {
-        // v2 format
-        insertedCount = result.transactions.length;
-        skippedCount = result.skipped_duplicates?.length || 0;
-      } else if (result.ids) {
-        // v1 format (fallback)
-        insertedCount = result.ids.length;
-        skippedCount = 0;
-      } else {
-        // Unknown format - log warning
-        logError("sync_batch_unknown_format", "Unexpected response format from Lunch Money", null, {
-          batchIndex: i + 1,
-          responseKeys: Object.keys(result),
-          fullResponse: JSON.stringify(result).substring(0, 1000),
-        });
-      }
+  // Correct stale rows first; transactions written by updating a stale row aren't inserted again
+  let toInsert = lmTransactions;
+  let corrections = [];
+  if (RECONCILE_PENDING) {
+    const plan = planAccountReconciliation(lmTransactions, existing, fromDate, untilDate, accountTagId);
+    corrections = await applyCorrections(plan.corrections);
+    const failedUpdates = new Set(
+      corrections.filter((c) => c.action === "update" && !c.applied).map((c) => c.newExternalId)
+    );
+    toInsert = lmTransactions.filter(
+      (t) => plan.remaining.includes(t) || failedUpdates.has(t.external_id)
+    );
+  }
 
-      // Log successful response with details
-      const successMsg = `Batch ${i + 1}/${batches.length}: ${insertedCount} inserted, ${skippedCount} skipped (of ${batch.length} sent)`;
-      console.error(formatLog('INFO', 'sync_batch_complete', successMsg, {
-        batchIndex: i + 1,
-        totalBatches: batches.length,
-        transactionsInBatch: batch.length,
-        insertedCount,
-        skippedCount,
-        responseStatus: response.status,
-      }));
-      console.error(JSON.stringify({
-        step: 'sync_batch_complete',
-        message: successMsg,
-        insertedCount,
-        skippedCount,
-      }));
-
-      // Warn if nothing was inserted
-      if (insertedCount === 0 && batch.length > 0) {
-        logError("sync_batch_warning", "No transactions were inserted - all may have been skipped as duplicates or rejected", null, {
-          batchIndex: i + 1,
-          transactionsSent: batch.length,
-          skippedCount,
-          responseStatus: response.status,
-          fullResponse: JSON.stringify(result).substring(0, 1000),
-        });
-      }
+  // Don't send batches Lunch Money already confirmed before a resumed run failed
+  const confirmed = journal ? getConfirmedIds(journal, target.accountNumber) : new Set();
+  if (confirmed.size > 0) {
+    const remaining = toInsert.filter((t) => !confirmed.has(t.external_id));
+    logInfo("sync_resume", `Skipping ${toInsert.length - remaining.length} transactions sent before the sync failed`, {
+      accountNumber: target.accountNumber,
+    });
+    toInsert = remaining;
+  }
 
-      results.push(result);
-    } catch (error) {
-      if (error.message.includes("Lunch Money")) {
-        throw error; // Re-throw Lunch Money errors
+  // Send to Lunch Money
+  const { insertedCount: totalInserted, skippedCount: totalSkipped, retries } = await sendToLunchMoney(
+    toInsert,
+    target.assetId,
+    (batch) => {
+      if (journal) {
+        recordBatch(JOURNAL_DIR, journal, target.accountNumber, batch.map((t) => t.external_id));
       }
-      logError("sync_batch_failed", "Failed to send batch to Lunch Money", error, {
-        batchIndex: i + 1,
-        totalBatches: batches.length,
-        transactionsInBatch: batch.length,
-        errorMessage: error.message,
-        errorStack: error.stack,
-      });
-      throw error;
     }
+  );
+
+  // Only move the high-water mark once everything was sent successfully. Ranges,
+  // replays and input runs can start after the mark; moving it then would make
+  // the next incremental run skip the days in between.
+  const movesMark = (SOURCE === "ics" && ["incremental", "full"].includes(syncWindow.mode)) ||
+    reachesHighWaterMark(syncState, target.accountNumber, fromDate);
+  let updatedState = syncState;
+  if (movesMark) {
+    updatedState = updateHighWaterMark(syncState, target.accountNumber, getHighWaterMark(transactions));
+    writeSyncState(SYNC_STATE_FILE, updatedState);
   }
+  if (journal) {
+    completeAccount(JOURNAL_DIR, journal, target.accountNumber);
+  }
+
+  logInfo("sync_account_complete", `Account ${target.accountNumber}: ${totalInserted} inserted, ${totalSkipped} skipped`, {
+    accountNumber: target.accountNumber,
+    assetId: target.assetId,
+    transactionsCount: transactions.length,
+  });
+
+  return {
+    accountResult: {
+      ...accountResult,
+      transactionsCount: transactions.length,
+      syncedCount: lmTransactions.length,
+      insertedCount: totalInserted,
+      skippedCount: totalSkipped,
+      lunchMoneyRetries: retries,
+      routedCount,
+      categorizedCount,
+      corrections,
+    },
+    syncState: updatedState,
+  };
+}
 
-  // Calculate totals from all batches
-  let totalInserted = 0;
-  let totalSkipped = 0;
+/**
+ * Accounts to sync from the raw archive or the input: the mapped accounts, or
+ * ICS_ACCOUNT_NUMBER / the only account there
+ */
+function getOfflineTargets() {
+  if (accountMap) {
+    return accountMap.map((mapped) => ({ ...mapped, accountName: null, balance: null }));
+  }
 
-  for (const r of results) {
-    if (r.transactions) {
-      totalInserted += r.transactions.length;
-      totalSkipped += r.skipped_duplicates?.length || 0;
-    } else if (r.ids) {
-      totalInserted += r.ids.length;
+  let targetAccount = accountNumber;
+  if (!targetAccount) {
+    const available = SOURCE === "input"
+      ? [...new Set(INPUT_ENTRIES.map((entry) => entry.accountNumber))]
+      : listArchivedAccounts(RAW_ARCHIVE_DIR);
+    const sourceName = SOURCE === "input" ? "input" : "raw archive";
+    if (available.length !== 1) {
+      const error = new Error(
+        available.length === 0
+          ? `No raw ICS data in the ${sourceName}${SOURCE === "archive" ? ` (${RAW_ARCHIVE_DIR})` : ""}`
+          : `The ${sourceName} has several accounts (${available.join(", ")}) - set ICS_ACCOUNT_NUMBER or pass --account to pick one`
+      );
+      error.step = SOURCE === "input" ? "input" : "replay";
+      throw error;
     }
+    targetAccount = available[0];
   }
+  return [{ accountNumber: targetAccount, accountName: null, balance: null, assetId }];
+}
 
-  // Log final summary
-  const summaryMsg = `Sync complete: ${totalInserted} inserted, ${totalSkipped} skipped (of ${transactions.length} total)`;
-  console.error(formatLog('INFO', 'sync_lunchmoney_complete', summaryMsg, {
-    totalBatches: batches.length,
-    totalTransactions: transactions.length,
-    totalInserted,
-    totalSkipped,
-  }));
-  console.error(JSON.stringify({
-    step: 'sync_lunchmoney_complete',
-    message: summaryMsg,
-    totalInserted,
-    totalSkipped,
-  }));
-
-  // Warn if totals don't add up
-  if (totalInserted + totalSkipped !== transactions.length) {
-    logError("sync_count_mismatch", "Transaction count mismatch - some transactions may have been silently rejected", null, {
-      totalSent: transactions.length,
-      totalInserted,
-      totalSkipped,
-      difference: transactions.length - totalInserted - totalSkipped,
-    });
+/**
+ * Abort between steps once a cancel was requested
+ */
+function throwIfCancelled() {
+  if (cancelRequested) {
+    const error = new Error("Sync cancelled");
+    error.step = "cancelled";
+    throw error;
   }
+}
+
+/**
+ * Result of a cancelled run; the result event is only sent once
+ */
+function reportCancelled() {
+  const result = { success: false, cancelled: true, error: "Sync cancelled", step: "cancelled", resumable: !!journal };
+  if (!cancelReported) {
+    cancelReported = true;
+    emitEvent("result", { result });
+  }
+  return result;
+}
+
+/**
+ * Logged-in ICS client: the saved session if it's still valid, otherwise login
+ * and 2FA. Call close() on it when done.
+ */
+export async function openIcsSession() {
+  throwIfCancelled();
+  const client = new IcsClient({
+    email: ICS_EMAIL,
+    password: ICS_PASSWORD,
+    session: SESSION_REUSE ? { file: SESSION_FILE, secret: SESSION_SECRET } : null,
+    executablePath: PUPPETEER_EXECUTABLE_PATH,
+    headless: PUPPETEER_HEADLESS,
+    logger: LOGGER,
+    onMetric: emitMetric,
+  });
+  activeClient = client;
+  await client.open();
+  throwIfCancelled();
+  return client;
+}
+
+/**
+ * Raw ICS transactions of the accounts to sync for the range or the SYNC_DAYS
+ * window, without writing to Lunch Money (fetched chunks are archived as in a sync).
+ * Returns [{ accountNumber, accountName, assetId, fromDate, untilDate, fetchedAt, transactions }].
+ */
+export async function fetchRawTransactions() {
+  let client = null;
+  try {
+    let targets;
+    if (SOURCE !== "ics") {
+      targets = getOfflineTargets();
+    } else {
+      client = await openIcsSession();
+      targets = await determineSyncTargets(client);
+    }
+
+    const syncState = readSyncState(SYNC_STATE_FILE);
+    const entries = [];
+    for (const target of targets) {
+      throwIfCancelled();
+      const syncWindow = getSyncWindow(target.accountNumber, syncState);
+      const { transactions } = await fetchTransactions(client, target.accountNumber, syncWindow);
+      entries.push({
+        accountNumber: target.accountNumber,
+        accountName: target.accountName,
+        assetId: target.assetId,
+        fromDate: formatDate(syncWindow.fromDate),
+        untilDate: formatDate(syncWindow.untilDate),
+        fetchedAt: new Date().toISOString(),
+        transactions,
+      });
+    }
 
-  return results;
+    if (client) {
+      await client.saveSession();
+    }
+    return entries;
+  } finally {
+    await client?.close();
+  }
 }
 
 /**
- * Main sync function
+ * Main sync function: fetch (or read the archive / input), transform and send
+ * every account to Lunch Money. Returns the result that is also sent as the
+ * result event, or the error result for a failed run.
  */
-async function sync() {
+export async function sync() {
   const syncStartTime = Date.now();
-  logInfo("sync_start", "Starting sync process", {
+  logInfo("sync_start", DRY_RUN ? "Starting preview (dry run)" : "Starting sync process", {
     syncDays: SYNC_DAYS_PARSED,
+    fullSync: FULL_SYNC,
+    range: SYNC_RANGE,
+    dryRun: DRY_RUN,
+    source: SOURCE,
     accountNumber: accountNumber || "auto-detect",
-    assetId,
+    assetId: accountMap ? accountMap.map((m) => m.assetId).join(",") : assetId,
   });
 
-  let browser;
+  let client = null;
   try {
-    // Launch browser
-    browser = await launchBrowser();
-    const page = await browser.newPage();
-    logDebug("sync_start", "New page created");
-
-    // Login flow
-    await login(page);
-
-    // Wait for 2FA
-    await wait2FA(page);
-
-    // Wait for page to be fully loaded after 2FA
-    await page.waitForTimeout(1000);
-
-    // Extract cookies and XSRF token
-    const { cookies: cookieMap, xsrfToken } = await extractCookies(page);
-
-    // Determine account number - use browser context for API calls
-    const {
-      accountNumber: finalAccountNumber,
-      cookieMap: updatedCookies,
-      xsrfToken: updatedToken,
-    } = await determineAccountNumber(page, cookieMap, xsrfToken);
-
-    accountNumber = finalAccountNumber;
-    logInfo("sync_progress", "Account determined", {
-      accountNumber: finalAccountNumber,
-      hasCookies: updatedCookies.size > 0,
-      hasXsrfToken: !!updatedToken,
-    });
-
-    // Fetch transactions
-    const { transactions } = await fetchTransactions(
-      page,
-      accountNumber,
-      updatedCookies,
-      updatedToken
-    );
+    let targets;
+
+    if (RESUME) {
+      journal = readJournal(JOURNAL_DIR);
+      resumeJournal(JOURNAL_DIR, journal);
+      targets = journal.targets;
+      logInfo("sync_resume", `Resuming the sync started at ${journal.startedAt}`, {
+        accountsCount: targets.length,
+      });
+    }
 
-    const today = new Date();
-    const fromDate = new Date();
-    fromDate.setDate(today.getDate() - SYNC_DAYS_PARSED);
+    if (SOURCE !== "ics") {
+      targets = getOfflineTargets();
+      logInfo("sync_offline", `Syncing ${targets.length} accounts from the ${SOURCE === "input" ? "input" : "raw archive"}`, {
+        accountsCount: targets.length,
+      });
+    } else if (RESUME && !needsFetch(journal)) {
+      // A resumed run only needs ICS for chunks it hasn't fetched yet
+      logInfo("sync_resume", "All ICS transactions are cached, skipping the ICS login");
+    } else {
+      client = await openIcsSession();
 
-    if (transactions.length === 0) {
+      // Determine which accounts to sync
+      if (!RESUME) {
+        targets = await determineSyncTargets(client);
+      }
 
-      logInfo("sync_complete", "No transactions found", {
-        accountNumber,
-        fromDate: formatDate(fromDate),
-        untilDate: formatDate(today),
-        syncDays: SYNC_DAYS_PARSED,
+      logInfo("sync_progress", "Accounts determined", {
+        accountsCount: targets.length,
+        hasXsrfToken: !!client.xsrfToken,
       });
+    }
 
-      const result = {
-        success: true,
-        message: `No transactions found for period ${formatDate(
-          fromDate
-        )} to ${formatDate(today)}`,
-        transactionsCount: 0,
-        syncedCount: 0,
-        accountNumber,
-      };
-      console.log(JSON.stringify(result));
-      return result;
+    if (!DRY_RUN && !RESUME && SOURCE === "ics") {
+      journal = startJournal(JOURNAL_DIR, targets);
     }
 
-    logInfo("sync_progress", "Transactions fetched, transforming for Lunch Money", {
-      transactionsCount: transactions.length,
-      accountNumber,
-    });
+    let syncState = readSyncState(SYNC_STATE_FILE);
+    let tagId = journal?.tagId || null;
+    let routeTagIds = null;
+    let categoryLookup = null;
+    const accountTagIds = new Map();
+    const accountResults = [];
+
+    for (const target of targets) {
+      throwIfCancelled();
+      accountNumber = target.accountNumber;
+      if (journal && isAccountCompleted(journal, target.accountNumber)) {
+        logInfo("sync_resume", `Account ${target.accountNumber} was already synced by the failed run`);
+        continue;
+      }
 
-    // Create import tag
-    const importTag = `importedAt:${new Date().toISOString()}`;
-    const tagId = await createTag(importTag);
+      try {
+        const synced = await syncAccount(client, target, {
+          syncState,
+          // One import tag per run, created on first use
+          getTagId: async () => {
+            if (!tagId) {
+              tagId = await lunchMoney.createTag(`importedAt:${new Date().toISOString()}`);
+              if (journal) {
+                recordTag(JOURNAL_DIR, journal, tagId);
+              }
+            }
+            return tagId;
+          },
+          getRouteTagIds: async () => {
+            if (!routeTagIds) {
+              routeTagIds = await resolveRouteTags(cardRoutes);
+            }
+            return routeTagIds;
+          },
+          getCategoryIds: async () => {
+            if (!categoryLookup) {
+              categoryLookup = await resolveCategoryIds(categoryMap);
+            }
+            return categoryLookup.categoryIds;
+          },
+          // Dry runs only look the tag up; without it no row is reconciled
+          getAccountTagId: async (number) => {
+            if (!accountTagIds.has(number)) {
+              const tagName = `icsAccount:${number}`;
+              accountTagIds.set(number, DRY_RUN
+                ? (await lunchMoney.getTags()).find((t) => t.name === tagName)?.id ?? null
+                : await lunchMoney.createTag(tagName));
+            }
+            return accountTagIds.get(number);
+          },
+        });
+        syncState = synced.syncState;
+        // The archive has no balances
+        if (BALANCE_CHECK && SOURCE === "ics") {
+          synced.accountResult.balance = await checkBalance(target);
+        }
+        accountResults.push(synced.accountResult);
+        emitEvent("counts", {
+          step: "sync_account_complete",
+          accountNumber: target.accountNumber,
+          transactionsCount: synced.accountResult.transactionsCount,
+          insertedCount: synced.accountResult.insertedCount,
+          skippedCount: synced.accountResult.skippedCount,
+        });
+      } catch (error) {
+        // With a single account there is nothing else to sync - fail the whole run
+        if (targets.length === 1 || cancelRequested) {
+          throw error;
+        }
+        logError("sync_account_error", `Sync failed for account ${target.accountNumber}`, error, {
+          accountNumber: target.accountNumber,
+          assetId: target.assetId,
+          step: error.step || "unknown",
+        });
+        accountResults.push({
+          success: false,
+          accountNumber: target.accountNumber,
+          accountName: target.accountName,
+          assetId: target.assetId,
+          error: error.message,
+          step: error.step || "unknown",
+        });
+      }
+    }
 
-    // Transform transactions
-    const lmTransactions = transformTransactions(transactions, tagId);
+    const failedAccounts = accountResults.filter((r) => !r.success);
+    if (accountResults.length > 0 && failedAccounts.length === accountResults.length) {
+      const error = new Error(
+        `Sync failed for all accounts: ${failedAccounts.map((r) => `${r.accountNumber}: ${r.error}`).join("; ")}`
+      );
+      error.step = failedAccounts[0].step;
+      throw error;
+    }
 
-    logInfo("sync_progress", "Transactions transformed", {
-      originalCount: transactions.length,
-      transformedCount: lmTransactions.length,
-    });
+    if (client) {
+      await client.saveSession();
+    }
 
-    // Send to Lunch Money
-    const syncResults = await sendToLunchMoney(lmTransactions);
-
-    // Calculate totals from results
-    let totalInserted = 0;
-    let totalSkipped = 0;
-    for (const r of syncResults) {
-      if (r.transactions) {
-        totalInserted += r.transactions.length;
-        totalSkipped += r.skipped_duplicates?.length || 0;
-      } else if (r.ids) {
-        totalInserted += r.ids.length;
+    const succeeded = accountResults.filter((r) => r.success);
+    const totals = succeeded.reduce(
+      (acc, r) => ({
+        transactionsCount: acc.transactionsCount + r.transactionsCount,
+        syncedCount: acc.syncedCount + r.syncedCount,
+        insertedCount: acc.insertedCount + r.insertedCount,
+        skippedCount: acc.skippedCount + r.skippedCount,
+        lunchMoneyRetries: acc.lunchMoneyRetries + r.lunchMoneyRetries,
+        routedCount: acc.routedCount + r.routedCount,
+        categorizedCount: acc.categorizedCount + r.categorizedCount,
+      }),
+      {
+        transactionsCount: 0,
+        syncedCount: 0,
+        insertedCount: 0,
+        skippedCount: 0,
+        lunchMoneyRetries: 0,
+        routedCount: 0,
+        categorizedCount: 0,
       }
+    );
+    const fromDate = succeeded.map((r) => r.fromDate).sort()[0];
+    const untilDate = succeeded.map((r) => r.untilDate).sort().pop();
+    const syncModes = [...new Set(succeeded.map((r) => r.syncMode))];
+
+    let message;
+    let previewCounts = null;
+    if (DRY_RUN) {
+      previewCounts = { insert: 0, exists: 0, duplicate: 0, changed: 0 };
+      for (const r of succeeded) {
+        for (const [status, count] of Object.entries(r.preview?.counts || {})) {
+          previewCounts[status] += count;
+        }
+      }
+      message = `Preview (dry run): ${previewCounts.insert} would be inserted, ` +
+        `${previewCounts.exists + previewCounts.duplicate} skipped as duplicates, ` +
+        `${previewCounts.changed} exist with a different amount`;
+    } else if (targets.length > 1) {
+      message = `Synced ${succeeded.length}/${targets.length} accounts: ${totals.insertedCount} inserted, ${totals.skippedCount} skipped (of ${totals.syncedCount} total)`;
+    } else if (totals.transactionsCount === 0) {
+      message = `No transactions found for period ${fromDate} to ${untilDate}`;
+    } else {
+      message = `Synced: ${totals.insertedCount} inserted, ${totals.skippedCount} skipped (of ${totals.syncedCount} total)`;
     }
 
     const syncDuration = Date.now() - syncStartTime;
     const result = {
       success: true,
-      message: `Synced: ${totalInserted} inserted, ${totalSkipped} skipped (of ${lmTransactions.length} total)`,
-      transactionsCount: transactions.length,
-      syncedCount: lmTransactions.length,
-      insertedCount: totalInserted,
-      skippedCount: totalSkipped,
-      fromDate: formatDate(fromDate),
-      untilDate: formatDate(today),
-      accountNumber,
-      assetId,
+      message,
+      ...totals,
+      fromDate,
+      untilDate,
+      syncMode: syncModes.length === 1 ? syncModes[0] : "mixed",
+      accounts: accountResults,
     };
+    if (DRY_RUN) {
+      result.dryRun = true;
+      result.previewCounts = previewCounts;
+    }
+    if (SOURCE !== "ics") {
+      result.source = SOURCE;
+    }
+    const corrections = succeeded.flatMap((r) => r.corrections || r.preview?.corrections || []);
+    if (corrections.length > 0) {
+      result.corrections = corrections;
+    }
+    if (targets.length === 1) {
+      result.accountNumber = targets[0].accountNumber;
+      result.assetId = targets[0].assetId;
+    }
 
+    const warnings = [];
+    if (failedAccounts.length > 0) {
+      warnings.push(`${failedAccounts.length} of ${targets.length} accounts failed to sync`);
+    }
+    if (categoryLookup?.missing.length > 0) {
+      warnings.push(`Categories not found in Lunch Money: ${categoryLookup.missing.join(", ")}`);
+    }
+    const drifting = succeeded.filter((r) => r.balance?.drift && !r.balance.updated);
+    if (drifting.length > 0) {
+      warnings.push(`Lunch Money balance differs from ICS for ${drifting.map((r) => r.accountNumber).join(", ")}`);
+    }
     // Warn if nothing was inserted
-    if (totalInserted === 0 && lmTransactions.length > 0) {
-      result.warning = "No transactions were inserted - all were likely skipped as duplicates";
+    if (!DRY_RUN && totals.insertedCount === 0 && totals.syncedCount > 0) {
+      warnings.push("No transactions were inserted - all were likely skipped as duplicates");
       logError("sync_no_inserts", "Sync completed but no transactions were inserted", null, {
-        totalSent: lmTransactions.length,
-        totalSkipped,
-        message: result.warning,
+        totalSent: totals.syncedCount,
+        totalSkipped: totals.skippedCount,
       });
     }
+    if (warnings.length > 0) {
+      result.warning = warnings.join(". ");
+    }
+    for (const warning of warnings) {
+      emitEvent("warning", { step: "sync_complete", message: warning });
+    }
+
+    if (journal) {
+      // The accounts that failed can still be resumed
+      if (failedAccounts.length > 0) {
+        finishJournal(JOURNAL_DIR, journal, "failed", { message: result.warning, step: failedAccounts[0].step });
+        result.resumable = true;
+      } else {
+        finishJournal(JOURNAL_DIR, journal, "completed");
+      }
+    }
 
     logInfo("sync_complete", "Sync completed successfully", {
       ...result,
@@ -1318,14 +1828,25 @@ async function sync() {
       durationSeconds: Math.round(syncDuration / 1000),
     });
 
-    console.log(JSON.stringify(result));
+    emitEvent("result", { result });
     return result;
   } catch (error) {
+    if (journal) {
+      finishJournal(JOURNAL_DIR, journal, "failed", { message: error.message, step: error.step || "unknown" });
+    }
+
+    // Closing the browser on cancel makes whatever was running fail - that's not an error
+    if (cancelRequested) {
+      logInfo("sync_cancelled", "Sync cancelled", { accountNumber: accountNumber || "unknown" });
+      return reportCancelled();
+    }
+
     const syncDuration = Date.now() - syncStartTime;
     const result = {
       success: false,
       error: error.message,
       step: error.step || "unknown",
+      resumable: !!journal,
       stack: error.stack, // Include stack trace for debugging
     };
 
@@ -1336,43 +1857,75 @@ async function sync() {
     });
 
     // Ensure error is logged to stderr for Docker logs
-    console.error(JSON.stringify(result));
-
-    process.exit(1);
+    console.error(JSON.stringify(redact(result)));
+    emitEvent("error", { code: result.step, message: error.message, step: result.step, resumable: result.resumable });
+    return result;
   } finally {
-    if (browser) {
-      logDebug("sync_cleanup", "Closing browser");
-      try {
-        await browser.close();
-        logDebug("sync_cleanup", "Browser closed successfully");
-      } catch (error) {
-        logError("sync_cleanup", "Failed to close browser", error);
-      }
-    }
+    await client?.close();
+  }
+}
+
+/**
+ * Cancel on SIGTERM/SIGINT: close the browser so pending page operations (login,
+ * 2FA wait, ICS fetches) fail, and let sync() report the cancellation
+ */
+function handleCancelSignal(signal) {
+  if (cancelRequested) {
+    return;
   }
+  cancelRequested = true;
+  logInfo("sync_cancelled", `Cancel requested (${signal}), closing browser...`);
+  cancelController.abort();
+  activeClient?.close();
+  setTimeout(() => {
+    console.log(JSON.stringify(redact(reportCancelled())));
+    process.exit(130);
+  }, CANCEL_GRACE_MS).unref();
 }
 
-// Add global error handlers for uncaught errors
-process.on('unhandledRejection', (reason, promise) => {
-  console.error(JSON.stringify({
-    success: false,
-    error: 'Unhandled promise rejection',
-    details: String(reason),
-    step: 'unhandled_error',
-  }));
-  process.exit(1);
-});
-
-process.on('uncaughtException', (error) => {
-  console.error(JSON.stringify({
-    success: false,
-    error: 'Uncaught exception',
-    details: error.message,
-    stack: error.stack,
-    step: 'unhandled_error',
-  }));
-  process.exit(1);
-});
-
-// Run sync
-sync();
+/**
+ * Cancel on SIGTERM/SIGINT and report crashes as error events. For the
+ * command-line entry points (see ics-sync.js), not for library use.
+ */
+export function installProcessHandlers() {
+  process.on("SIGTERM", () => handleCancelSignal("SIGTERM"));
+  process.on("SIGINT", () => handleCancelSignal("SIGINT"));
+
+  // Add global error handlers for uncaught errors
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error(JSON.stringify(redact({
+      success: false,
+      error: 'Unhandled promise rejection',
+      details: String(reason),
+      step: 'unhandled_error',
+    })));
+    emitEvent("error", {
+      code: "unhandled_error",
+      message: `Unhandled promise rejection: ${String(reason)}`,
+      step: "unhandled_error",
+    });
+    process.exit(1);
+  });
+
+  process.on('uncaughtException', (error) => {
+    console.error(JSON.stringify(redact({
+      success: false,
+      error: 'Uncaught exception',
+      details: error.message,
+      stack: error.stack,
+      step: 'unhandled_error',
+    })));
+    emitEvent("error", {
+      code: "unhandled_error",
+      message: `Uncaught exception: ${error.message}`,
+      step: "unhandled_error",
+    });
+    process.exit(1);
+  });
+}
+
+// Run directly (the bot, older setups and cron jobs): the same as `ics-sync sync` or `ics-sync replay`
+if (import.meta.main) {
+  const args = process.argv.slice(2);
+  import("./ics-sync.js").then(({ runCli }) => runCli(args[0] === "replay" ? args : ["sync", ...args]));
+}